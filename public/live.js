@@ -0,0 +1,65 @@
+/*
+Live updates for the admin, user and event pages
+
+The page opens a WebSocket to /live and the server sends a message whenever an event,
+a participation or a poll changes. We then load the page again in the background and swap in
+the sections listed in data-live-sections on the script tag, so the tables stay up to date
+without a reload.
+
+A section the user is typing in is left alone until they move out of it.
+*/
+(function () {
+  var script = document.currentScript;
+  var sectionIds = (script.dataset.liveSections || "").split(",").filter(Boolean);
+  var refreshTimer = null;
+  var retryDelay = 1000;
+
+  // Load the current page and replace the live sections with their new content
+  function refreshSections() {
+    fetch(window.location.href, { credentials: "same-origin" })
+      .then(function (response) {
+        return response.ok ? response.text() : null;
+      })
+      .then(function (html) {
+        if (!html) return;
+        var page = new DOMParser().parseFromString(html, "text/html");
+        sectionIds.forEach(function (id) {
+          var section = document.getElementById(id);
+          var updated = page.getElementById(id);
+          if (!section || !updated) return;
+          if (section.contains(document.activeElement)) {
+            // Don't throw away what the user is typing, try again when they leave the section
+            section.addEventListener("focusout", scheduleRefresh, { once: true });
+            return;
+          }
+          section.innerHTML = updated.innerHTML;
+        });
+      })
+      .catch(function (error) {
+        console.error("Live update failed:", error);
+      });
+  }
+
+  // Several changes often arrive together, so wait a moment and refresh once
+  function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(refreshSections, 300);
+  }
+
+  function connect() {
+    var protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+    var socket = new WebSocket(protocol + "//" + window.location.host + "/live");
+
+    socket.addEventListener("open", function () {
+      retryDelay = 1000;
+    });
+    socket.addEventListener("message", scheduleRefresh);
+    socket.addEventListener("close", function () {
+      // Reconnect with a growing delay, e.g. after a server restart
+      setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, 30000);
+    });
+  }
+
+  connect();
+})();
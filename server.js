@@ -10,12 +10,25 @@
 // Utilities we need
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const bcrypt = require("bcrypt"); // For password hashing
 
+// Sessions are signed with SESSION_SECRET, which has to be set in production
+if (process.env.NODE_ENV === "production" && (process.env.SESSION_SECRET || "").length < 32) {
+  console.error("Set SESSION_SECRET in .env to a random string of at least 32 characters to run in production.");
+  process.exit(1);
+}
+// Sessions last an hour
+const SESSION_MAX_AGE = 3600000;
+
+// Behind a proxy, set TRUST_PROXY=true so request.ip is the visitor's address
+const TRUST_PROXY = process.env.TRUST_PROXY === "true";
+
 // Require the fastify framework and instantiate it
 const fastify = require("fastify")({
   // Set this to true for detailed logging:
   logger: false,
+  trustProxy: TRUST_PROXY,
 });
 
 // Setup our static files
@@ -27,25 +40,55 @@ fastify.register(require("@fastify/static"), {
 // Formbody lets us parse incoming forms
 fastify.register(require("@fastify/formbody"));
 
-// Add cookie and session support
+// Add cookie and session support, sessions are kept in the database (see /src/session-store.js)
+const sessionStore = require("./src/session-store.js");
 fastify.register(require("@fastify/cookie"));
 fastify.register(require("@fastify/session"), {
-  secret: process.env.SESSION_SECRET || "a secret with minimum length of 32 characters", // Use a strong secret from environment variables
+  secret: process.env.SESSION_SECRET || sessionStore.DEV_SESSION_SECRET,
   cookie: {
     secure: process.env.NODE_ENV === "production", // Set to true in production for HTTPS
-    maxAge: 3600000, // Session expiry in milliseconds (1 hour)
+    sameSite: "lax",
+    maxAge: SESSION_MAX_AGE,
   },
+  store: sessionStore.createStore(SESSION_MAX_AGE),
   saveUninitialized: false,
   cookieName: "sessionId",
 });
 
+// CSRF tokens for the forms, the secret they're checked against is kept in the session
+fastify.register(require("@fastify/csrf-protection"), { sessionPlugin: "@fastify/session" });
+
+// WebSocket support for the live updates
+fastify.register(require("@fastify/websocket"));
+
 // View is a templating manager for fastify
+const handlebars = require("handlebars");
 fastify.register(require("@fastify/view"), {
   engine: {
-    handlebars: require("handlebars"),
+    handlebars: handlebars,
+  },
+  options: {
+    // The event form fields, shared by the add and edit event pages
+    partials: { eventForm: "/src/pages/partials/event-form.hbs" },
   },
 });
 
+// Compare two values in a template, e.g. {{#if (eq role "admin")}}
+handlebars.registerHelper("eq", (a, b) => a == b);
+// Check a value is set, so that 0 still counts, e.g. {{#if (isDefined min)}}
+handlebars.registerHelper("isDefined", (value) => value !== undefined && value !== null);
+// Check a list has a value, comparing like eq so form strings match ids, e.g. {{#if (includes group_ids id)}}
+handlebars.registerHelper("includes", (list, value) => [].concat(list || []).some((item) => item == value));
+// Text in the page's locale, extra arguments are added to the key and hash values fill placeholders,
+// e.g. {{t "status" this.status}} or {{t "pagination.summary" page=page pages=pages total=total}}
+handlebars.registerHelper("t", (key, ...args) => {
+  const options = args.pop();
+  return i18n.translate(options.data.root.locale, [key, ...args], options.hash);
+});
+// Dates and timestamps in the page's locale, e.g. {{formatDate event.date}}
+handlebars.registerHelper("formatDate", (value, options) => i18n.formatDate(value, options.data.root.locale));
+handlebars.registerHelper("formatDateTime", (value, options) => i18n.formatDateTime(value, options.data.root.locale));
+
 // Load and parse SEO data
 const seo = require("./src/seo.json");
 if (seo.url === "glitch-default") {
@@ -56,28 +99,651 @@ if (seo.url === "glitch-default") {
 const data = require("./src/data.json");
 const db = require("./src/" + data.database); // This will now include the new methods
 
+// Custom field schemas and values are checked by the validator module
+const validator = require("./src/validator.js");
+// What edits to the custom fields do to the answers already given
+const schemaChanges = require("./src/schema-changes.js");
+// Registration opening and closing times are worked out here
+const rsvpWindow = require("./src/rsvp-window.js");
+// Participation exports to CSV and XLSX
+const exporter = require("./src/export.js");
+// Calendar files for events and the per-user feeds
+const ical = require("./src/ical.js");
+// Live updates to open pages over WebSocket
+const live = require("./src/live.js");
+// History of event and participation changes for the admin audit page
+const audit = require("./src/audit.js");
+// The JSON API under /api/v1
+const api = require("./src/api.js");
+// Personal API tokens, sent as Authorization: Bearer
+const apiTokens = require("./src/api-tokens.js");
+// Bulk import of events and users
+const importer = require("./src/import.js");
+// Event search, filter and sort options from the query string
+const eventFilters = require("./src/event-filters.js");
+// Recurrence rules for event series
+const recurrence = require("./src/recurrence.js");
+// Polls attached to events
+const polls = require("./src/polls.js");
+// Who each event is for - everyone, some user groups or invited users
+const audience = require("./src/audience.js");
+// Notification outbox, sent in the background by the scheduler
+const notifications = require("./src/notifications.js");
+const notifier = require("./src/notifier.js");
+// Signed check-in codes for the door
+const checkIn = require("./src/check-in.js");
+// Automatic purge of the event archive
+const archive = require("./src/archive.js");
+// Lockout after repeated failed logins
+const loginThrottle = require("./src/login-throttle.js");
+// Page text and dates in the reader's language
+const i18n = require("./src/i18n.js");
+
+// Roles a user account can have, staff only check participants in at the door
+const ROLES = ["admin", "staff", "user"];
+// The page each role lands on after logging in
+const HOME_PAGES = { admin: "/admin", staff: "/check-in", user: "/user" };
+// Statuses a user can give for an event
+const PARTICIPATION_STATUSES = ["參加", "不參加"];
+// Minimum length for passwords set through the app
+const MIN_PASSWORD_LENGTH = 6;
+// Just enough to catch typos, the mail server has the final say
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Check a new password and its confirmation, returning an error message in the locale if they aren't usable
+function checkNewPassword(locale, password, confirmation) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return i18n.translate(locale, "errors.passwordTooShort", { min: MIN_PASSWORD_LENGTH });
+  }
+  if (confirmation !== undefined && password !== confirmation) {
+    return i18n.translate(locale, "errors.passwordMismatch");
+  }
+  return null;
+}
+
+// Parse the optional attendee limit of an event form, returning undefined if it isn't valid
+function parseMaxAttendees(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : undefined;
+}
+
+/**
+ * Read the event fields from the admin event form
+ *
+ * Returns { event } ready for the database, or { error } with a message for the admin
+ */
+function readEventForm(body, locale) {
+  const { name, date, location, type, custom_fields_schema_json } = body;
+
+  const schema = validator.parseSchema(custom_fields_schema_json, locale);
+  if (schema.error) return { error: schema.error };
+  const { renames, error: renamesError } = schemaChanges.readRenames(body.custom_field_renames, locale);
+  if (renamesError) return { error: renamesError };
+
+  const maxAttendees = parseMaxAttendees(body.max_attendees);
+  if (maxAttendees === undefined) {
+    return { error: i18n.translate(locale, "errors.invalidMaxAttendees") };
+  }
+
+  const opensAt = body.registration_opens_at || null;
+  const closesAt = body.registration_closes_at || null;
+  const windowError = rsvpWindow.checkRsvpWindow(opensAt, closesAt, locale);
+  if (windowError) return { error: windowError };
+
+  const { audience: eventAudience, error: audienceError } = audience.parseAudience(body, locale);
+  if (audienceError) return { error: audienceError };
+
+  return {
+    event: {
+      name,
+      date,
+      location,
+      type,
+      custom_fields_schema_json,
+      custom_field_renames: renames,
+      // Edits that move or archive answers are only saved once confirmed
+      confirm_schema_changes: [true, "true", "1", "on"].includes(body.confirm_schema_changes),
+      max_attendees: maxAttendees,
+      registration_opens_at: opensAt,
+      registration_closes_at: closesAt,
+      ...eventAudience,
+    },
+  };
+}
+
+/**
+ * Validate and save a user's response to an event
+ *
+ * Shared by the user participation route and the admin override
+ * Actor is the logged in user making the change, for the audit log
+ * Returns the status code and the body to send back, with the messages in the locale
+ */
+async function saveParticipation(event, user_id, status, submittedValues, actor, locale) {
+  const t = (key, params) => i18n.translate(locale, key, params);
+  if (!PARTICIPATION_STATUSES.includes(status)) {
+    return { code: 400, body: { success: false, message: t("errors.invalidStatus") } };
+  }
+
+  const validation = validator.validateCustomFieldValues(event.custom_fields_schema_json, submittedValues, {
+    skipRequired: status !== "參加",
+    locale: locale,
+  });
+  if (!validation.valid) {
+    return {
+      code: 400,
+      body: { success: false, message: t("errors.invalidCustomFields"), errors: validation.errors },
+    };
+  }
+
+  const result = await db.addOrUpdateParticipant(event.id, user_id, status, JSON.stringify(validation.values), actor);
+  if (!result) {
+    return { code: 500, body: { success: false, message: t("errors.updateParticipationFailed") } };
+  }
+
+  live.publish("participation.changed", {
+    participation: {
+      event_id: event.id,
+      user_id: user_id,
+      status: result.status,
+      waitlist_position: result.waitlist_position,
+    },
+  });
+  // Users promoted from the waitlist see their new status too
+  for (const promotedUserId of result.promoted_user_ids) {
+    live.publish("participation.changed", {
+      participation: { event_id: event.id, user_id: promotedUserId, status: "參加", waitlist_position: null },
+    });
+  }
+  const message = result.waitlist_position
+    ? t("flash.waitlistPosition", { position: result.waitlist_position })
+    : t("flash.participationUpdated");
+  return { code: 200, body: { success: true, message: message, result: result } };
+}
+
+/**
+ * Save a series of events, starting on the event form's date and repeating by the rule
+ *
+ * Returns { seriesId, eventIds }, or { status, error } to send back with the error in the locale
+ */
+async function createEventSeries(event, rule, actor, locale) {
+  // Series share their details but each occurrence has its own date, so there's no single time to open or close them
+  if (event.registration_opens_at || event.registration_closes_at) {
+    return { status: 400, error: i18n.translate(locale, "errors.seriesRegistrationTimes") };
+  }
+  const { dates, error } = recurrence.generateDates(event.date, rule, locale);
+  if (error) return { status: 400, error: error };
+
+  const result = await db.addEventSeries(event, rule, dates, actor);
+  if (!result) return { status: 500, error: i18n.translate(locale, "errors.createSeriesFailed") };
+  for (const eventId of result.event_ids) {
+    live.publish("event.created", { event: await db.getEventById(eventId) });
+  }
+  return { seriesId: result.series_id, eventIds: result.event_ids };
+}
+
+/**
+ * Check an edit's custom field changes against the answers already given
+ *
+ * Events are the events the edit changes, as they are now
+ * Renaming, retyping or removing fields with answers has to be confirmed with confirm_schema_changes
+ * Returns { status: 409, error, fieldChanges } with the changes while it isn't, otherwise null
+ */
+async function checkSchemaChanges(events, event, locale) {
+  const newFields = validator.parseSchema(event.custom_fields_schema_json).fields;
+  const lists = [];
+  for (const existing of events) {
+    const participants = (await db.getParticipantsByEventId(existing.id)) || [];
+    lists.push(schemaChanges.describeChanges(
+      validator.parseSchema(existing.custom_fields_schema_json).fields,
+      newFields,
+      event.custom_field_renames,
+      participants.map((participant) => schemaChanges.readValues(participant.custom_field_values_json))
+    ));
+  }
+  const fieldChanges = schemaChanges.combineChanges(lists);
+  if (event.confirm_schema_changes || !schemaChanges.needsConfirmation(fieldChanges)) return null;
+  return {
+    status: 409,
+    error: i18n.translate(locale, "errors.confirmSchemaChanges"),
+    fieldChanges: fieldChanges,
+  };
+}
+
+/**
+ * Apply the event form to a single event
+ *
+ * Returns { eventIds } with the event's id, or { status, error } to send back with the error in the locale
+ */
+async function updateEvent(id, event, actor, locale) {
+  const existing = await db.getEventById(id);
+  if (!existing) return { status: 404, error: i18n.translate(locale, "errors.eventNotFound") };
+  const unconfirmed = await checkSchemaChanges([existing], event, locale);
+  if (unconfirmed) return unconfirmed;
+
+  const changes = await db.updateEvent(existing.id, event, actor);
+  if (changes === undefined) return { status: 500, error: i18n.translate(locale, "errors.updateEventFailed") };
+  if (!changes) return { status: 404, error: i18n.translate(locale, "errors.eventNotFound") };
+  live.publish("event.updated", { event: await db.getEventById(existing.id) });
+  return { eventIds: [existing.id] };
+}
+
+/**
+ * Apply the event form to the whole series from today on
+ *
+ * Occurrences edited on their own and past occurrences are left as they are
+ * Returns { eventIds } of the updated occurrences, or { status, error } to send back with the error in the locale
+ */
+async function updateEventSeries(seriesId, event, actor, locale) {
+  if (event.registration_opens_at || event.registration_closes_at) {
+    return { status: 400, error: i18n.translate(locale, "errors.seriesRegistrationTimes") };
+  }
+  const occurrences = await db.getAllEvents({ series_id: seriesId, from: eventFilters.today() });
+  if (!occurrences) return { status: 500, error: i18n.translate(locale, "errors.updateSeriesFailed") };
+  const unconfirmed = await checkSchemaChanges(
+    occurrences.filter((occurrence) => !occurrence.series_exception),
+    event,
+    locale
+  );
+  if (unconfirmed) return unconfirmed;
+
+  const eventIds = await db.updateEventSeries(seriesId, event, eventFilters.today(), actor);
+  if (!eventIds) return { status: 500, error: i18n.translate(locale, "errors.updateSeriesFailed") };
+  for (const eventId of eventIds) {
+    live.publish("event.updated", { event: await db.getEventById(eventId) });
+  }
+  return { eventIds: eventIds };
+}
+
+/**
+ * Save a user's response to an occurrence and every later occurrence of its series
+ *
+ * Occurrences that aren't open for registration are skipped
+ * The values are checked against every occurrence before anything is saved
+ * Returns the status code and the body to send back, like saveParticipation
+ */
+async function saveSeriesParticipation(event, user_id, status, submittedValues, actor, locale) {
+  const t = (key, params) => i18n.translate(locale, key, params);
+  const today = eventFilters.today();
+  const occurrences = await db.getAllEvents({
+    series_id: event.series_id,
+    from: event.date > today ? event.date : today,
+    visible_to: user_id,
+  });
+  if (!occurrences) {
+    return { code: 500, body: { success: false, message: t("errors.updateParticipationFailed") } };
+  }
+  const openOccurrences = occurrences.filter((occurrence) => rsvpWindow.getRsvpWindow(occurrence).state === "open");
+  if (!openOccurrences.length) {
+    return { code: 403, body: { success: false, message: t("errors.noOpenOccurrences") } };
+  }
+
+  for (const occurrence of openOccurrences) {
+    const validation = validator.validateCustomFieldValues(occurrence.custom_fields_schema_json, submittedValues, {
+      skipRequired: status !== "參加",
+      locale: locale,
+    });
+    if (!validation.valid) {
+      return {
+        code: 400,
+        body: {
+          success: false,
+          message: t("errors.invalidCustomFieldsOn", { date: i18n.formatDate(occurrence.date, locale) }),
+          errors: validation.errors,
+        },
+      };
+    }
+  }
+
+  const results = [];
+  for (const occurrence of openOccurrences) {
+    const { code, body } = await saveParticipation(occurrence, user_id, status, submittedValues, actor, locale);
+    if (code !== 200) return { code, body };
+    results.push({ event_id: occurrence.id, date: occurrence.date, ...body.result });
+  }
+  return {
+    code: 200,
+    body: {
+      success: true,
+      message: t("flash.seriesParticipationUpdated", { count: results.length }),
+      results: results,
+      skipped: occurrences.length - openOccurrences.length,
+    },
+  };
+}
+
+/**
+ * Attach a poll from the event page form or the API to an event
+ *
+ * Returns { pollId }, or { status, error } to send back with the error in the locale
+ */
+async function createPoll(event, input, actor, locale) {
+  const { poll, error } = polls.parsePollForm(input, locale);
+  if (error) return { status: 400, error: error };
+
+  const pollId = await db.addPoll(event.id, poll, actor);
+  if (!pollId) return { status: 500, error: i18n.translate(locale, "errors.createPollFailed") };
+  live.publish("poll.changed", { poll: { id: pollId, event_id: event.id } });
+  return { pollId: pollId };
+}
+
+/**
+ * Save a user's vote, replacing their earlier vote in the same poll
+ *
+ * Only users attending or waitlisted for the poll's event can vote
+ * Returns { poll } with the updated results, or { status, error } to send back with the error in the locale
+ */
+async function castPollVote(poll, user, input, locale) {
+  const participant = await db.getParticipant(poll.event_id, user.user_id);
+  if (!polls.canVote(user, participant)) {
+    return { status: 403, error: i18n.translate(locale, "errors.cannotVote") };
+  }
+  const { optionIds, error } = polls.parseBallot(poll, input, locale);
+  if (error) return { status: 400, error: error };
+
+  if (!(await db.votePoll(poll.id, user.user_id, optionIds, user))) {
+    return { status: 500, error: i18n.translate(locale, "errors.voteFailed") };
+  }
+  live.publish("poll.changed", { poll: { id: poll.id, event_id: poll.event_id } });
+  return { poll: await db.getPollById(poll.id, user.user_id) };
+}
+
+/**
+ * Check a participant in with the code from their QR code
+ *
+ * Returns { participation, event, username } or { status, error } when the code is made up,
+ * the participation isn't confirmed or it has already been checked in, with the error in the locale
+ */
+async function checkInWithCode(code, actor, locale) {
+  const t = (key, params) => i18n.translate(locale, key, params);
+  const participantId = checkIn.readParticipationId(code);
+  const participation = participantId && (await db.getParticipantById(participantId));
+  if (!participation || !checkIn.verifyCode(code, participation)) {
+    return { status: 400, error: t("errors.invalidCheckInCode") };
+  }
+  const [event, user] = await Promise.all([
+    db.getEventById(participation.event_id),
+    db.getUserById(participation.user_id),
+  ]);
+  // Codes for an archived event can't be used until it is restored
+  if (!event) return { status: 404, error: t("errors.checkInEventArchived") };
+  if (participation.status !== "參加") {
+    return { status: 409, error: t("errors.notConfirmed", { username: user.username, event: event.name }) };
+  }
+  if (participation.checked_in_at) {
+    const time = i18n.formatDateTime(participation.checked_in_at, locale);
+    return { status: 409, error: t("errors.alreadyCheckedInAt", { username: user.username, time: time }) };
+  }
+
+  const changes = await db.checkInParticipant(participation.id, actor);
+  if (changes === undefined) return { status: 500, error: t("errors.checkInFailed") };
+  // Two scans at the same moment, the other one got there first
+  if (!changes) return { status: 409, error: t("errors.alreadyCheckedIn", { username: user.username }) };
+  live.publish("participation.changed", {
+    participation: { event_id: event.id, user_id: user.id, status: participation.status },
+  });
+  return {
+    participation: await db.getParticipantById(participation.id),
+    event: event,
+    username: user.username,
+  };
+}
+
+// Check whether self-registration has been switched on by an admin
+async function isRegistrationEnabled() {
+  return (await db.getSetting("registration_enabled", "0")) === "1";
+}
+
+// Domain used in calendar event UIDs, so they stay the same in every download and feed
+const CALENDAR_UID_DOMAIN = new URL(seo.url).host;
+
+// Build the subscribable calendar feed address for a token
+function calendarFeedUrl(request, token) {
+  return `${request.protocol}://${request.hostname}/calendar/${token}.ics`;
+}
+
+/**
+ * Load the page of events matching the search, filter and sort options in the query
+ *
+ * Returns the params the admin and user pages need for their event lists, and the status to send,
+ * with an error if the options weren't valid - the list is then unfiltered
+ */
+async function loadEventList(request, path) {
+  const { filters = {}, error } = eventFilters.parseEventFilters(request.query, request.locale);
+  const page = eventFilters.parsePage(request.query);
+  // Users only get the events they can see
+  const query = { ...filters, visible_to: audience.visibleTo(request.user) };
+  const [events, total, eventTypes] = await Promise.all([
+    db.getAllEvents(query, {
+      limit: eventFilters.EVENTS_PER_PAGE,
+      offset: (page - 1) * eventFilters.EVENTS_PER_PAGE,
+    }),
+    db.countEvents(query),
+    db.getEventTypes(),
+  ]);
+
+  const params = {
+    status: error ? 400 : 200,
+    events: events,
+    eventTypes: eventTypes,
+    ...eventFilters.buildListParams(path, filters, page, total || 0),
+  };
+  if (error) params.error = error;
+  else if (!events || total === undefined) params.error = i18n.translate(request.locale, "errors.database");
+  return params;
+}
+
+// The part of a users row kept in the session and given to the routes as request.user
+function toSessionUser(user) {
+  return {
+    user_id: user.id,
+    username: user.username,
+    role: user.role,
+    must_change_password: !!user.must_change_password,
+    locale: user.locale,
+  };
+}
+
+// Log a user in with a new session id, so a session id set before logging in can't be reused
+async function startSession(request, user) {
+  await new Promise((resolve, reject) => request.session.regenerate((err) => (err ? reject(err) : resolve())));
+  request.session.user = toSessionUser(user);
+}
+
+// Send a logged in user to the page for their role
+function redirectToHome(user, reply) {
+  return reply.redirect(HOME_PAGES[user.role] || "/user");
+}
+
+/**
+ * Flash messages
+ *
+ * Forms on the pages are redirected back after a change, with a message in the session
+ * for the page they land on, shown once as {{flash.message}}
+ */
+function takeFlash(request) {
+  const flash = request.session && request.session.flash;
+  if (!flash) return null;
+  delete request.session.flash;
+  return flash;
+}
+
+/**
+ * Send the result of a form as json, or redirect to the page with the result flashed
+ *
+ * Body is { success, message, errors }, successMessage replaces the message when it worked,
+ * so it can be in the user's language
+ */
+function sendFormResult(request, reply, page, code, body, successMessage) {
+  if (request.query.raw) return reply.status(code).send(body);
+  request.session.flash = body.success
+    ? { type: "success", message: successMessage || body.message }
+    : { type: "error", message: body.message, details: Object.values(body.errors || {}) };
+  return reply.redirect(page);
+}
+
+// Every request gets request.user - the session user, the owner of a bearer token, or null
+fastify.decorateRequest("user", null);
+// and request.locale, the language its pages are shown in
+fastify.decorateRequest("locale", i18n.DEFAULT_LOCALE);
+
+/**
+ * Find the account behind a bearer token and check it can make this request
+ *
+ * Returns { user } for the request, or { status, code, error } to send back with the error in the locale
+ * The token's last used time is recorded when it's accepted
+ */
+async function authenticateToken(token, method, locale) {
+  const saved = await db.getApiTokenByHash(apiTokens.hashToken(token));
+  if (!saved || apiTokens.isExpired(saved)) {
+    return { status: 401, code: "invalid_token", error: i18n.translate(locale, "errors.invalidToken") };
+  }
+  if (saved.disabled) {
+    return { status: 401, code: "invalid_token", error: i18n.translate(locale, "errors.accountDisabled") };
+  }
+  if (!apiTokens.allowsMethod(saved, method)) {
+    return { status: 403, code: "insufficient_scope", error: i18n.translate(locale, "errors.readOnlyToken") };
+  }
+  await db.touchApiToken(saved.id);
+  return {
+    user: {
+      user_id: saved.user_id,
+      username: saved.username,
+      role: saved.role,
+      must_change_password: !!saved.must_change_password,
+      locale: saved.locale,
+      token: { id: saved.id, scope: saved.scope },
+    },
+  };
+}
+
+// Send an authentication error as the API error envelope or as text for the page routes
+function sendAuthError(request, reply, status, code, message) {
+  return api.isApiRequest(request)
+    ? reply.status(status).send(api.errorBody(code, message))
+    : reply.status(status).send(message);
+}
+
 // Authentication hook
 fastify.addHook("onRequest", async (request, reply) => {
-  const publicRoutes = ["/", "/login", "/logout"]; // Routes that don't require authentication
-  if (!publicRoutes.includes(request.routeOptions.url) && !request.session.user) {
-    reply.redirect("/"); // Redirect to login if not authenticated
+  // Scripts send an API token instead of the session cookie
+  const bearerToken = apiTokens.readBearerToken(request);
+  if (bearerToken) {
+    // The account's language isn't known yet, API clients always get English
+    const locale = api.isApiRequest(request)
+      ? api.API_LOCALE
+      : i18n.pickLocale(null, request.headers["accept-language"]);
+    const { user, status, code, error } = await authenticateToken(bearerToken, request.method, locale);
+    if (error) return sendAuthError(request, reply, status, code, error);
+    request.user = user;
+  } else if (request.session.user) {
+    // The account is read again on every request, so a new role or a disabled account applies at once
+    const account = await db.getUserById(request.session.user.user_id);
+    if (account && !account.disabled) {
+      request.user = toSessionUser(account);
+    } else {
+      request.session.user = null;
+    }
+  }
+  request.locale = i18n.pickLocale(request.user && request.user.locale, request.headers["accept-language"]);
+  reply.locals.locale = request.locale;
+  // Forms on the pages send {{@root.csrfToken}}, it's only made when a page is rendered
+  // so JSON and file downloads don't start a session
+  Object.defineProperty(reply.locals, "csrfToken", { enumerable: true, get: () => reply.generateCsrf() });
+  // and {{flash}}, the message left by the form before a redirect, which is used up by showing it
+  Object.defineProperty(reply.locals, "flash", { enumerable: true, get: () => takeFlash(request) });
+
+  // Routes that don't require authentication - calendar feeds are checked against their secret token
+  const publicRoutes = [
+    "/", "/login", "/logout", "/register", "/csrf-token", "/invite/:token", "/calendar/:token", `${api.API_PREFIX}/openapi.json`,
+  ];
+  if (!publicRoutes.includes(request.routeOptions.url) && !request.user) {
+    // API clients get an error they can handle instead of the login page
+    if (api.isApiRequest(request)) {
+      return reply.status(401).send(api.errorBody("unauthorized", "Log in or send an API token to use the API."));
+    }
+    return reply.redirect("/"); // Redirect to login if not authenticated
   }
+
+  // Users with a default or admin-set password have to change it before going anywhere else
+  const passwordChangeRoutes = ["/account", "/account/password", "/csrf-token", "/logout"];
+  if (
+    request.user &&
+    request.user.must_change_password &&
+    !passwordChangeRoutes.includes(request.routeOptions.url)
+  ) {
+    if (api.isApiRequest(request)) {
+      return reply.status(403).send(api.errorBody("password_change_required", "Change your password at /account first."));
+    }
+    return reply.redirect("/account");
+  }
+});
+
+/**
+ * CSRF protection
+ *
+ * Requests that change something with the session cookie must send the session's CSRF token,
+ * forms in a _csrf field and JSON clients in a CSRF-Token header, taking it from GET /csrf-token
+ * API token requests don't use the cookie, so another site can't make them
+ */
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+fastify.addHook("preHandler", (request, reply, done) => {
+  if (SAFE_METHODS.includes(request.method) || (request.user && request.user.token)) return done();
+  fastify.csrfProtection(request, reply, done);
+});
+
+fastify.get("/csrf-token", async (request, reply) => {
+  return reply.send({ csrfToken: reply.generateCsrf() });
 });
 
 // Authorization hook
 fastify.decorate("authorize", function (roles) {
   return async (request, reply) => {
-    if (!request.session.user || !roles.includes(request.session.user.role)) {
-      reply.status(403).send("Forbidden: You do not have permission to access this page.");
+    if (!request.user || !roles.includes(request.user.role)) {
+      return reply.status(403).send(i18n.translate(request.locale, "errors.forbidden"));
     }
   };
 });
 
 /**
- * Home route for the app
+ * Live updates
+ *
+ * Pages open a WebSocket here to hear about event and participation changes
+ * The connection is authenticated by the session cookie sent with the upgrade request
+ * The route is registered in its own plugin so the websocket plugin has loaded first
+ */
+fastify.register(async (instance) => {
+  instance.get("/live", { websocket: true, onRequest: [fastify.authorize(["admin", "staff", "user"])] }, (connection, request) => {
+    live.addClient(connection.socket, request.user);
+  });
+});
+
+/**
+ * JSON API
  *
- * Return the poll options from the database helper script
- * The home route may be called on remix in which case the db needs setup
+ * Shares the event form and participation helpers with the page routes below
+ * See src/api.js, the OpenAPI document is served at /api/v1/openapi.json
+ */
+fastify.register(api.routes, {
+  prefix: api.API_PREFIX,
+  readEventForm: readEventForm,
+  saveParticipation: saveParticipation,
+  createEventSeries: createEventSeries,
+  updateEvent: updateEvent,
+  updateEventSeries: updateEventSeries,
+  archiveEvent: archiveEvent,
+  restoreEvent: restoreEvent,
+  purgeEvent: purgeEvent,
+  saveSeriesParticipation: saveSeriesParticipation,
+  createPoll: createPoll,
+  castPollVote: castPollVote,
+  checkInWithCode: checkInWithCode,
+  checkNewPassword: checkNewPassword,
+  roles: ROLES,
+});
+
+/**
+ * Home route for the app, the login page
  *
  * Client can request raw data using a query parameter
  */
@@ -88,20 +754,8 @@ fastify.get("/", async (request, reply) => {
   */
   let params = request.query.raw ? {} : { seo: seo };
 
-  // Get the available choices from the database
-  const options = await db.getOptions();
-  if (options) {
-    params.optionNames = options.map((choice) => choice.language);
-    params.optionCounts = options.map((choice) => choice.picks);
-  }
-  // Let the user know if there was a db error
-  else params.error = data.errorMessage;
-
-  // Check in case the data is empty or not setup yet
-  if (options && params.optionNames.length < 1)
-    params.setup = data.setupMessage;
-
-  // ADD PARAMS FROM TODO HERE
+  // Show the sign up link when registration is open
+  params.registrationEnabled = await isRegistrationEnabled();
 
   // Send the page options or raw JSON data if the client requested it
   return request.query.raw
@@ -115,29 +769,44 @@ fastify.get("/", async (request, reply) => {
 * Validates username and password against hashed passwords in the database.
 * Creates a session on successful validation and redirects based on user role.
 * Redirects back to login page with an error message on failure.
+* Too many failures for a username or from an address lock it for a while (see /src/login-throttle.js).
 */
 fastify.post("/login", async (request, reply) => {
  const { username, password } = request.body;
+ // Without a trusted proxy every visitor could share the proxy's address, so only usernames are counted
+ const ip = TRUST_PROXY ? request.ip : null;
+ const lockedFor = loginThrottle.lockedFor(username, ip);
+ if (lockedFor) {
+   const minutes = Math.ceil(lockedFor / 60000);
+   return reply
+     .status(429)
+     .header("Retry-After", Math.ceil(lockedFor / 1000))
+     .view("/src/pages/index.hbs", {
+       seo: seo,
+       error: i18n.translate(request.locale, minutes === 1 ? "errors.tooManyLoginsMinute" : "errors.tooManyLogins", {
+         minutes: minutes,
+       }),
+     });
+ }
  const user = await db.getUserByUsername(username);
 
- if (user && (await bcrypt.compare(password, user.password_hash))) {
+ // Disabled accounts fail like a wrong password, so the answer doesn't tell which accounts are disabled
+ if (user && !user.disabled && (await bcrypt.compare(password, user.password_hash))) {
    // Authentication successful
-   request.session.user = {
-     user_id: user.id,
-     username: user.username,
-     role: user.role,
-   };
-
-   if (user.role === "admin") {
-     reply.redirect("/admin");
+   loginThrottle.recordSuccess(username);
+   await startSession(request, user);
+
+   if (user.must_change_password) {
+     return reply.redirect("/account");
    } else {
-     reply.redirect("/user"); // Or "/" if no specific user page
+     return reply.redirect(HOME_PAGES[user.role] || "/user");
    }
  } else {
    // Authentication failed
-   reply.view("/src/pages/index.hbs", {
+   loginThrottle.recordFailure(username, ip);
+   return reply.view("/src/pages/index.hbs", {
      seo: seo,
-     error: "Invalid username or password",
+     error: i18n.translate(request.locale, "errors.invalidLogin"),
    });
  }
 });
@@ -147,214 +816,1498 @@ fastify.post("/login", async (request, reply) => {
 * Destroys the user session and redirects to the login page.
 */
 fastify.get("/logout", async (request, reply) => {
- request.session.destroy((err) => {
-   if (err) {
-     console.error("Error destroying session:", err);
-   }
-   reply.redirect("/");
+ await new Promise((resolve) => {
+   request.session.destroy((err) => {
+     if (err) {
+       console.error("Error destroying session:", err);
+     }
+     resolve();
+   });
  });
+ return reply.redirect("/");
 });
 
 /**
- * Post route to process user vote
+ * Account routes
  *
- * Retrieve vote from body data
- * Send vote to database helper
- * Return updated list of votes
+ * Let a logged in user see their account and change their password
+ * Users flagged with must_change_password are sent here until they do
  */
-fastify.post("/", async (request, reply) => {
-  // We only send seo if the client is requesting the front-end ui
+// Render the account page, with any extra params such as an error or a new API token
+async function renderAccountPage(request, reply, extraParams = {}, status = 200) {
   let params = request.query.raw ? {} : { seo: seo };
+  params.user = request.user;
+  params.mustChangePassword = request.user.must_change_password;
 
-  // Flag to indicate we want to show the poll results instead of the poll form
-  params.results = true;
-  let options;
-
-  // We have a vote - send to the db helper to process and return results
-  if (request.body.language) {
-    options = await db.processVote(request.body.language);
-    if (options) {
-      // We send the choices and numbers in parallel arrays
-      params.optionNames = options.map((choice) => choice.language);
-      params.optionCounts = options.map((choice) => choice.picks);
-    }
+  const user = await db.getUserById(request.user.user_id);
+  if (user && user.calendar_token) {
+    params.calendarFeedUrl = calendarFeedUrl(request, user.calendar_token);
   }
-  params.error = options ? null : data.errorMessage;
-
-  // Return the info to the client
+  params.email = user ? user.email : null;
+  params.locales = i18n.LOCALES;
+  params.preferredLocale = user ? user.locale : null;
+  params.apiTokens = await db.getApiTokensByUserId(request.user.user_id);
+  Object.assign(params, extraParams);
   return request.query.raw
-    ? reply.send(params)
-    : reply.view("/src/pages/index.hbs", params);
+    ? reply.status(status).send(params)
+    : reply.status(status).view("/src/pages/account.hbs", params);
+}
+
+fastify.get("/account", async (request, reply) => {
+  return renderAccountPage(request, reply);
 });
 
-/**
- * Admin endpoint returns log of votes
- *
- * Send raw json or the admin handlebars page
- */
-fastify.get("/admin", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
-  let params = request.query.raw ? {} : { seo: seo };
+// Change the password after checking the current one
+fastify.post("/account/password", async (request, reply) => {
+  const t = (key, params) => i18n.translate(request.locale, key, params);
+  const { current_password, new_password, confirm_password } = request.body;
+  const currentUser = request.user;
+  const user = await db.getUserById(currentUser.user_id);
 
-  try {
-    // Get all events
-    params.events = await db.getAllEvents();
-    // Get all participants with event details
-    params.allParticipants = await db.getAllParticipantsWithEventDetails();
-  } catch (error) {
-    console.error("Error fetching admin data:", error);
-    params.error = data.errorMessage;
+  let error = null;
+  let status = 400;
+  if (!user) {
+    error = t("errors.database");
+    status = 500;
+  } else if (!current_password || !(await bcrypt.compare(current_password, user.password_hash))) {
+    error = t("errors.wrongCurrentPassword");
+  } else if (current_password === new_password) {
+    error = t("errors.samePassword");
+  } else {
+    error = checkNewPassword(request.locale, new_password, confirm_password);
   }
 
-  // Send the data to the admin page
+  if (!error && !(await db.changeUserPassword(user.id, new_password))) {
+    error = t("errors.changePasswordFailed");
+    status = 500;
+  }
+
+  if (error) {
+    return request.query.raw
+      ? reply.status(status).send({ success: false, message: error })
+      : renderAccountPage(request, reply, { error: error }, status);
+  }
+
+  currentUser.must_change_password = false;
+  if (request.session.user) request.session.user = currentUser;
   return request.query.raw
-    ? reply.send(params)
-    : reply.view("/src/pages/admin.hbs", params);
+    ? reply.send({ success: true, message: t("flash.passwordChanged") })
+    : redirectToHome(currentUser, reply);
 });
 
-// Admin: Add new event
-fastify.post("/admin/events", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
-  const { name, date, location, type, custom_fields_schema_json } = request.body;
-  try {
-    const eventId = await db.addEvent(name, date, location, type, custom_fields_schema_json);
-    return reply.send({ success: true, eventId: eventId });
-  } catch (error) {
-    console.error("Error adding event:", error);
-    return reply.status(500).send({ success: false, message: "Failed to add event." });
+// Set the address notification emails go to, an empty address turns them off
+fastify.post("/account/email", async (request, reply) => {
+  const email = (request.body.email || "").trim();
+  if (email && !EMAIL_PATTERN.test(email)) {
+    const message = i18n.translate(request.locale, "errors.invalidEmail");
+    return request.query.raw
+      ? reply.status(400).send({ success: false, message: message })
+      : renderAccountPage(request, reply, { error: message, email: email }, 400);
   }
+  if (!(await db.setUserEmail(request.user.user_id, email))) {
+    const message = i18n.translate(request.locale, "errors.saveEmailFailed");
+    return reply.status(500).send({ success: false, message: message });
+  }
+  return request.query.raw
+    ? reply.send({ success: true, email: email || null })
+    : reply.redirect("/account");
 });
 
-// Admin: Update event
-fastify.put("/admin/events/:id", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
-  const { id } = request.params;
-  const { name, date, location, type, custom_fields_schema_json } = request.body;
-  try {
-    const changes = await db.updateEvent(id, name, date, location, type, custom_fields_schema_json);
-    if (changes > 0) {
-      return reply.send({ success: true, message: "Event updated successfully." });
-    } else {
-      return reply.status(404).send({ success: false, message: "Event not found or no changes made." });
-    }
-  } catch (error) {
-    console.error("Error updating event:", error);
-    return reply.status(500).send({ success: false, message: "Failed to update event." });
+// Pick the language of the pages, an empty choice follows the browser again
+fastify.post("/account/locale", async (request, reply) => {
+  const locale = request.body.locale || null;
+  if (locale && !i18n.isLocale(locale)) {
+    const message = i18n.translate(request.locale, "errors.unknownLocale", { locales: i18n.LOCALES });
+    return request.query.raw
+      ? reply.status(400).send({ success: false, message: message })
+      : renderAccountPage(request, reply, { error: message }, 400);
+  }
+  if (!(await db.setUserLocale(request.user.user_id, locale))) {
+    const message = i18n.translate(request.locale, "errors.saveLocaleFailed");
+    return reply.status(500).send({ success: false, message: message });
   }
+  if (request.session.user) request.session.user = { ...request.session.user, locale: locale };
+  return request.query.raw
+    ? reply.send({ success: true, locale: locale })
+    : reply.redirect("/account");
 });
 
-// Admin: Delete event
-fastify.delete("/admin/events/:id", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
-  const { id } = request.params;
-  try {
-    const changes = await db.deleteEvent(id);
-    if (changes > 0) {
-      return reply.send({ success: true, message: "Event deleted successfully." });
-    } else {
-      return reply.status(404).send({ success: false, message: "Event not found." });
-    }
-  } catch (error) {
-    console.error("Error deleting event:", error);
-    return reply.status(500).send({ success: false, message: "Failed to delete event." });
+/**
+ * Calendar feed token routes
+ *
+ * Calendar apps can't send the session cookie, so each user's feed is
+ * reached through a secret token in the address
+ * Creating a new token revokes the old address
+ */
+fastify.post("/account/calendar-token", async (request, reply) => {
+  const token = crypto.randomBytes(24).toString("hex");
+  if (!(await db.setCalendarToken(request.user.user_id, token))) {
+    const message = i18n.translate(request.locale, "errors.createCalendarFailed");
+    return reply.status(500).send({ success: false, message: message });
   }
+  return request.query.raw
+    ? reply.send({ success: true, url: calendarFeedUrl(request, token) })
+    : reply.redirect("/account");
 });
 
+fastify.post("/account/calendar-token/revoke", async (request, reply) => {
+  if (!(await db.setCalendarToken(request.user.user_id, null))) {
+    const message = i18n.translate(request.locale, "errors.revokeCalendarFailed");
+    return reply.status(500).send({ success: false, message: message });
+  }
+  return request.query.raw
+    ? reply.send({ success: true, message: i18n.translate(request.locale, "flash.calendarRevoked") })
+    : reply.redirect("/account");
+});
 
 /**
- * Admin endpoint to empty all logs
+ * API token routes
  *
- * Requires authorization (see setup instructions in README)
- * If auth fails, return a 401 and the log list
- * If auth is successful, empty the history
+ * The new token is only shown on the page it's created from, the database keeps a hash
+ * Tokens can't be used to create or revoke tokens, that needs a logged in session
  */
-fastify.post("/reset", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
-  let params = request.query.raw ? {} : { seo: seo };
+function rejectTokenRequest(request, reply) {
+  if (!request.user.token) return false;
+  reply.status(403).send({ success: false, message: i18n.translate(request.locale, "errors.tokensNeedSession") });
+  return true;
+}
 
+fastify.post("/account/api-tokens", async (request, reply) => {
+  if (rejectTokenRequest(request, reply)) return reply;
+  const t = (key, params) => i18n.translate(request.locale, key, params);
+  const name = (request.body.name || "").trim();
+  const { scope, expires_on } = request.body;
 
-  /*
-  Authenticate the user request by checking against the env key variable
-  - make sure we have a key in the env and body, and that they match
-  */
-  if (
-    !request.body.key ||
-    request.body.key.length < 1 ||
-    !process.env.ADMIN_KEY ||
-    request.body.key !== process.env.ADMIN_KEY
-  ) {
-    console.error("Auth fail");
+  let expiresAt = null;
+  if (expires_on) {
+    // Tokens work until the end of the chosen day
+    expiresAt = new Date(`${expires_on}T23:59:59`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(expires_on) || isNaN(expiresAt)) {
+      return renderAccountPage(request, reply, { error: t("errors.tokenExpiryFormat") }, 400);
+    }
+    if (expiresAt <= new Date()) {
+      return renderAccountPage(request, reply, { error: t("errors.tokenExpiryPast") }, 400);
+    }
+  }
+  if (!name) return renderAccountPage(request, reply, { error: t("errors.tokenNameRequired") }, 400);
+  if (!apiTokens.TOKEN_SCOPES.includes(scope)) {
+    return renderAccountPage(request, reply, { error: t("errors.invalidTokenScope") }, 400);
+  }
 
-    // Auth failed, return the log data plus a failed flag
-    params.failed = "You entered invalid credentials!";
+  const token = apiTokens.generateToken();
+  const tokenId = await db.addApiToken(
+    request.user.user_id, name, apiTokens.hashToken(token), scope, expiresAt ? expiresAt.toISOString() : null
+  );
+  if (!tokenId) return renderAccountPage(request, reply, { error: t("errors.createTokenFailed") }, 500);
+  return renderAccountPage(request, reply, { success: true, newApiToken: { id: tokenId, name, scope, token } });
+});
 
-    // Get the log list
-    params.optionHistory = await db.getLogs();
-  } else {
-    // We have a valid key and can clear the log
-    params.optionHistory = await db.clearHistory();
+fastify.post("/account/api-tokens/:id/revoke", async (request, reply) => {
+  if (rejectTokenRequest(request, reply)) return reply;
+  const t = (key, params) => i18n.translate(request.locale, key, params);
+  const changes = await db.deleteApiToken(request.params.id, request.user.user_id);
+  if (changes === undefined) return renderAccountPage(request, reply, { error: t("errors.revokeTokenFailed") }, 500);
+  if (!changes) return renderAccountPage(request, reply, { error: t("errors.tokenNotFound") }, 404);
+  return request.query.raw
+    ? reply.send({ success: true, message: t("flash.tokenRevoked") })
+    : reply.redirect("/account");
+});
 
-    // Check for errors - method would return false value
-    params.error = params.optionHistory ? null : data.errorMessage;
+// Calendar feed of the events a user is attending, for calendar apps to subscribe to
+fastify.get("/calendar/:token", async (request, reply) => {
+  const token = request.params.token.replace(/\.ics$/, "");
+  const user = await db.getUserByCalendarToken(token);
+  if (!user) {
+    return reply.status(404).send(i18n.translate(request.locale, "errors.calendarNotFound"));
   }
-
-  // Send a 401 if auth failed, 200 otherwise
-  const status = params.failed ? 401 : 200;
-  // Send an unauthorized status code if the user credentials failed
-  return request.query.raw
-    ? reply.status(status).send(params)
-    : reply.status(status).view("/src/pages/admin.hbs", params);
+  const events = await db.getAttendingEventsByUserId(user.id);
+  if (!events) {
+    return reply.status(500).send(i18n.translate(request.locale, "errors.database"));
+  }
+  return reply
+    .header("Content-Type", "text/calendar; charset=utf-8")
+    .send(ical.buildCalendar(events, {
+      name: i18n.translate(i18n.pickLocale(user.locale), "calendar.name", { username: user.username }),
+      uidDomain: CALENDAR_UID_DOMAIN,
+    }));
 });
 
+// Download a single event as an .ics file
+fastify.get("/events/:id/ics", async (request, reply) => {
+  const event = await db.getEventById(request.params.id, audience.visibleTo(request.user));
+  if (!event) {
+    return reply.status(404).send({ success: false, message: i18n.translate(request.locale, "errors.eventNotFound") });
+  }
+  return reply
+    .header("Content-Type", "text/calendar; charset=utf-8")
+    .header("Content-Disposition", `attachment; filename="event-${event.id}.ics"`)
+    .send(ical.buildCalendar([event], { uidDomain: CALENDAR_UID_DOMAIN }));
+});
 
-// User: Get all events for user view
+/**
+ * Event page with the event's details and polls
+ *
+ * Users taking part in the event vote here, admins add, reset and delete its polls
+ * Staff can look it up from the check-in page
+ */
+async function renderEventPage(request, reply, event, extraParams = {}, status = 200) {
+  const isAdmin = request.user.role === "admin";
+  const isUser = request.user.role === "user";
+  const participant = isUser ? await db.getParticipant(event.id, request.user.user_id) : null;
+  let params = request.query.raw ? {} : { seo: seo, user: request.user, isAdmin: isAdmin, isUser: isUser };
+  params.event = event;
+  params.participationStatus = participant ? participant.status : null;
+  params.canVote = polls.canVote(request.user, participant);
+  params.polls = await db.getPollsByEventId(event.id, request.user.user_id);
+  if (!params.polls) {
+    params.error = i18n.translate(request.locale, "errors.database");
+    status = 500;
+  }
+  Object.assign(params, extraParams);
+  return request.query.raw
+    ? reply.status(status).send(params)
+    : reply.status(status).view("/src/pages/event.hbs", params);
+}
+
+// Send the result of a poll change back to the event page, or as JSON
+async function sendPollResult(request, reply, event, status, message, result = {}) {
+  if (request.query.raw) {
+    return reply.status(status).send({ success: status < 400, message: message, ...result });
+  }
+  return status < 400
+    ? reply.redirect(`/events/${event.id}`)
+    : renderEventPage(request, reply, event, { error: message }, status);
+}
+
+fastify.get("/events/:id", { onRequest: [fastify.authorize(["admin", "staff", "user"])] }, async (request, reply) => {
+  const event = await db.getEventById(request.params.id, audience.visibleTo(request.user));
+  if (!event) {
+    return reply.status(404).send({ success: false, message: i18n.translate(request.locale, "errors.eventNotFound") });
+  }
+  return renderEventPage(request, reply, event);
+});
+
+// User: Vote in a poll, voting again replaces the earlier vote
+fastify.post("/polls/:id/vote", { onRequest: [fastify.authorize(["user"])] }, async (request, reply) => {
+  const poll = await db.getPollById(request.params.id);
+  const event = poll && (await db.getEventById(poll.event_id, audience.visibleTo(request.user)));
+  if (!event) {
+    return reply.status(404).send({ success: false, message: i18n.translate(request.locale, "errors.pollNotFound") });
+  }
+  const result = await castPollVote(poll, request.user, request.body, request.locale);
+  return result.error
+    ? sendPollResult(request, reply, event, result.status, result.error)
+    : sendPollResult(request, reply, event, 200, i18n.translate(request.locale, "flash.voteSaved"), { poll: result.poll });
+});
+
+// Admin: Attach a poll to an event
+fastify.post("/admin/events/:id/polls", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const event = await db.getEventById(request.params.id);
+  if (!event) {
+    return reply.status(404).send({ success: false, message: i18n.translate(request.locale, "errors.eventNotFound") });
+  }
+  const result = await createPoll(event, request.body, request.user, request.locale);
+  return result.error
+    ? sendPollResult(request, reply, event, result.status, result.error)
+    : sendPollResult(request, reply, event, 201, i18n.translate(request.locale, "flash.pollAdded"), { pollId: result.pollId });
+});
+
+// Admin: Remove every vote from a poll, they stay in the audit log
+fastify.post("/admin/polls/:id/reset", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const poll = await db.getPollById(request.params.id);
+  // The polls of archived events stay as they are until the event is restored
+  const event = poll && (await db.getEventById(poll.event_id));
+  if (!event) {
+    return reply.status(404).send({ success: false, message: i18n.translate(request.locale, "errors.pollNotFound") });
+  }
+  const removed = await db.resetPoll(poll.id, request.user);
+  if (removed === undefined) {
+    return sendPollResult(request, reply, event, 500, i18n.translate(request.locale, "errors.resetPollFailed"));
+  }
+  live.publish("poll.changed", { poll: { id: poll.id, event_id: poll.event_id } });
+  return sendPollResult(request, reply, event, 200, i18n.translate(request.locale, "flash.pollReset"), { votesRemoved: removed });
+});
+
+// Admin: Delete a poll with its votes
+fastify.post("/admin/polls/:id/delete", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const poll = await db.getPollById(request.params.id);
+  // The polls of archived events stay as they are until the event is restored
+  const event = poll && (await db.getEventById(poll.event_id));
+  if (!event) {
+    return reply.status(404).send({ success: false, message: i18n.translate(request.locale, "errors.pollNotFound") });
+  }
+  if (!(await db.deletePoll(poll.id, request.user))) {
+    return sendPollResult(request, reply, event, 500, i18n.translate(request.locale, "errors.deletePollFailed"));
+  }
+  live.publish("poll.changed", { poll: { id: poll.id, event_id: poll.event_id } });
+  return sendPollResult(request, reply, event, 200, i18n.translate(request.locale, "flash.pollDeleted"));
+});
+
+/**
+ * Invite links
+ *
+ * Imported users without a password open their link to choose one, which logs them in
+ */
+// Find the user an invite link is for, or send a 404
+async function findInvitedUser(request, reply) {
+  const user = await db.getUserByInviteToken(apiTokens.hashToken(request.params.token), new Date().toISOString());
+  if (!user) reply.status(404).send(i18n.translate(request.locale, "errors.invalidInvite"));
+  return user;
+}
+
+fastify.get("/invite/:token", async (request, reply) => {
+  const user = await findInvitedUser(request, reply);
+  if (!user) return reply;
+  return reply.view("/src/pages/invite.hbs", { seo: seo, username: user.username });
+});
+
+fastify.post("/invite/:token", async (request, reply) => {
+  const user = await findInvitedUser(request, reply);
+  if (!user) return reply;
+
+  const { new_password, confirm_password } = request.body;
+  let error = checkNewPassword(request.locale, new_password, confirm_password);
+  let status = 400;
+  if (!error && !(await db.acceptInvite(user.id, new_password))) {
+    error = i18n.translate(request.locale, "errors.setPasswordFailed");
+    status = 500;
+  }
+  if (error) {
+    return request.query.raw
+      ? reply.status(status).send({ success: false, message: error })
+      : reply.status(status).view("/src/pages/invite.hbs", { seo: seo, username: user.username, error: error });
+  }
+
+  // Read the account again now its password is set
+  await startSession(request, await db.getUserById(user.id));
+  return request.query.raw
+    ? reply.send({ success: true, userId: user.id })
+    : redirectToHome(request.session.user, reply);
+});
+
+/**
+ * Self-registration routes
+ *
+ * Only available when an admin has switched registration on
+ * New accounts always get the user role
+ */
+fastify.get("/register", async (request, reply) => {
+  let params = request.query.raw ? {} : { seo: seo };
+  params.registrationEnabled = await isRegistrationEnabled();
+  return request.query.raw
+    ? reply.send(params)
+    : reply.view("/src/pages/register.hbs", params);
+});
+
+fastify.post("/register", async (request, reply) => {
+  const t = (key, params) => i18n.translate(request.locale, key, params);
+  const registrationEnabled = await isRegistrationEnabled();
+  const username = (request.body.username || "").trim();
+  const { password, confirm_password } = request.body;
+
+  let error = null;
+  let status = 400;
+  if (!registrationEnabled) {
+    error = t("errors.registrationClosed");
+    status = 403;
+  } else if (!username) {
+    error = t("errors.usernameRequired");
+  } else if (await db.getUserByUsername(username)) {
+    error = t("errors.usernameTaken");
+    status = 409;
+  } else {
+    error = checkNewPassword(request.locale, password, confirm_password);
+  }
+
+  const userId = error ? null : await db.addUser(username, password, "user", false);
+  if (!error && !userId) {
+    error = t("errors.createAccountFailed");
+    status = 500;
+  }
+
+  if (error) {
+    return request.query.raw
+      ? reply.status(status).send({ success: false, message: error })
+      : reply.status(status).view("/src/pages/register.hbs", {
+          seo: seo,
+          registrationEnabled: registrationEnabled,
+          username: username,
+          error: error,
+        });
+  }
+
+  // Log the new user straight in
+  await startSession(request, await db.getUserById(userId));
+  return request.query.raw
+    ? reply.send({ success: true, userId: userId })
+    : reply.redirect("/user");
+});
+
+/**
+ * Admin page with the events and their participants
+ *
+ * Send raw json or the admin handlebars page
+ */
+fastify.get("/admin", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  let params = request.query.raw ? {} : { seo: seo };
+  let status = 200;
+
+  try {
+    // Get the events matching the search and filter options
+    const { status: listStatus, ...list } = await loadEventList(request, "/admin");
+    status = listStatus;
+    Object.assign(params, list);
+    // Get all participants with event details
+    params.allParticipants = await db.getAllParticipantsWithEventDetails();
+    // The groups and users the new event form can pick as its audience
+    Object.assign(params, await loadAudienceChoices());
+  } catch (error) {
+    console.error("Error fetching admin data:", error);
+    params.error = i18n.translate(request.locale, "errors.database");
+  }
+
+  // Send the data to the admin page
+  return request.query.raw
+    ? reply.status(status).send(params)
+    : reply.status(status).view("/src/pages/admin.hbs", params);
+});
+
+// Admin: Add new event
+fastify.post("/admin/events", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const t = (key, params) => i18n.translate(request.locale, key, params);
+  const { event, error } = readEventForm(request.body, request.locale);
+  if (error) {
+    return sendFormResult(request, reply, "/admin", 400, { success: false, message: error });
+  }
+  // A repeat frequency on the form makes a series instead of a single event
+  const { rule, error: recurrenceError } = recurrence.parseRecurrence(request.body, request.locale);
+  if (recurrenceError) {
+    return sendFormResult(request, reply, "/admin", 400, { success: false, message: recurrenceError });
+  }
+  try {
+    if (rule) {
+      const series = await createEventSeries(event, rule, request.user, request.locale);
+      if (series.error) {
+        return sendFormResult(request, reply, "/admin", series.status, { success: false, message: series.error });
+      }
+      return sendFormResult(
+        request, reply, "/admin", 200,
+        { success: true, seriesId: series.seriesId, eventIds: series.eventIds },
+        t("flash.seriesCreated", { count: series.eventIds.length })
+      );
+    }
+
+    const eventId = await db.addEvent(event, request.user);
+    if (!eventId) {
+      return sendFormResult(request, reply, "/admin", 500, { success: false, message: t("errors.createEventFailed") });
+    }
+    live.publish("event.created", { event: await db.getEventById(eventId) });
+    return sendFormResult(request, reply, "/admin", 200, { success: true, eventId: eventId }, t("flash.eventCreated"));
+  } catch (error) {
+    console.error("Error adding event:", error);
+    return sendFormResult(request, reply, "/admin", 500, { success: false, message: t("errors.createEventFailed") });
+  }
+});
+
+/**
+ * Save the event form to an existing event
+ *
+ * For an occurrence of a series, scope "series" updates the whole series from today on,
+ * otherwise only this occurrence changes
+ * Returns { message, eventIds }, or { status, error } to send back, with fieldChanges
+ * when custom field changes have to be confirmed
+ */
+async function saveEventChanges(id, body, actor, locale) {
+  const t = (key, params) => i18n.translate(locale, key, params);
+  const { event, error } = readEventForm(body, locale);
+  if (error) return { status: 400, error: error };
+
+  if (body.scope === "series") {
+    const existing = await db.getEventById(id);
+    if (!existing) return { status: 404, error: t("errors.eventNotFound") };
+    if (!existing.series_id) return { status: 400, error: t("errors.notASeries") };
+    const series = await updateEventSeries(existing.series_id, event, actor, locale);
+    if (series.error) return series;
+    return { message: t("flash.seriesUpdated", { count: series.eventIds.length }), eventIds: series.eventIds };
+  }
+
+  const result = await updateEvent(id, event, actor, locale);
+  if (result.error) return result;
+  return { message: t("flash.eventSaved"), eventIds: result.eventIds };
+}
+
+/**
+ * Delete an event by moving it to the archive, where it keeps its participants and polls
+ *
+ * Returns { message }, or { status, error } to send back, in the locale
+ */
+async function archiveEvent(id, actor, locale) {
+  const changes = await db.archiveEvent(id, actor);
+  if (changes === undefined) return { status: 500, error: i18n.translate(locale, "errors.deleteEventFailed") };
+  if (!changes) return { status: 404, error: i18n.translate(locale, "errors.eventNotFound") };
+  // Pages drop the event as if it was gone
+  live.publish("event.deleted", { event_id: Number(id) });
+  return { message: i18n.translate(locale, "flash.movedToArchive") };
+}
+
+/**
+ * Bring an event back from the archive
+ *
+ * Returns { message }, or { status, error } to send back, in the locale
+ */
+async function restoreEvent(id, actor, locale) {
+  const changes = await db.restoreEvent(id, actor);
+  if (changes === undefined) return { status: 500, error: i18n.translate(locale, "errors.restoreEventFailed") };
+  if (!changes) return { status: 404, error: i18n.translate(locale, "errors.archivedEventNotFound") };
+  live.publish("event.created", { event: await db.getEventById(id) });
+  return { message: i18n.translate(locale, "flash.restoredFromArchive") };
+}
+
+/**
+ * Delete an archived event for good, with its participants and polls
+ *
+ * Returns { message }, or { status, error } to send back, in the locale
+ */
+async function purgeEvent(id, actor, locale) {
+  const changes = await db.purgeEvent(id, actor);
+  if (changes === undefined) return { status: 500, error: i18n.translate(locale, "errors.purgeEventFailed") };
+  if (!changes) return { status: 404, error: i18n.translate(locale, "errors.archivedEventNotFound") };
+  return { message: i18n.translate(locale, "flash.purgedFromArchive") };
+}
+
+// Admin: Update event
+fastify.put("/admin/events/:id", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  try {
+    const { message, eventIds, status, error, fieldChanges } = await saveEventChanges(
+      request.params.id, request.body, request.user, request.locale
+    );
+    if (error) {
+      return reply.status(status).send({ success: false, message: error, fieldChanges: fieldChanges });
+    }
+    return reply.send({ success: true, message: message, eventIds: eventIds });
+  } catch (error) {
+    console.error("Error updating event:", error);
+    return reply.status(500).send({ success: false, message: i18n.translate(request.locale, "errors.updateEventFailed") });
+  }
+});
+
+// Admin: Delete event
+fastify.delete("/admin/events/:id", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  try {
+    const { message, status, error } = await archiveEvent(request.params.id, request.user, request.locale);
+    if (error) {
+      return reply.status(status).send({ success: false, message: error });
+    }
+    return reply.send({ success: true, message: message });
+  } catch (error) {
+    console.error("Error deleting event:", error);
+    return reply.status(500).send({ success: false, message: i18n.translate(request.locale, "errors.deleteEventFailed") });
+  }
+});
+
+/**
+ * Admin: Edit and delete events from the pages
+ *
+ * The forms can't send PUT or DELETE, so the pages post to these routes instead,
+ * which do the same and go back to /admin with a flash message
+ */
+// The groups and users an event form can pick as its audience
+async function loadAudienceChoices() {
+  const groups = await db.getGroups();
+  const users = await db.getAllUsers();
+  return { groups: groups, audienceUsers: (users || []).filter((user) => user.role === "user") };
+}
+
+// Render the edit page, event holds the values to fill the form with
+async function renderEditEventPage(request, reply, event, extraParams = {}, status = 200) {
+  return reply.status(status).view("/src/pages/edit-event.hbs", {
+    seo: seo,
+    event: event,
+    ...(await loadAudienceChoices()),
+    ...extraParams,
+  });
+}
+
+fastify.get("/admin/edit-event/:id", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const event = await db.getEventById(request.params.id);
+  if (!event) {
+    return reply.status(404).send({ success: false, message: i18n.translate(request.locale, "errors.eventNotFound") });
+  }
+  const eventAudience = await db.getEventAudience(event.id);
+  return request.query.raw
+    ? reply.send({ event: { ...event, ...eventAudience } })
+    : renderEditEventPage(request, reply, { ...event, ...eventAudience });
+});
+
+fastify.post("/admin/edit-event/:id", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const existing = await db.getEventById(request.params.id);
+  if (!existing) {
+    return sendFormResult(request, reply, "/admin", 404, { success: false, message: i18n.translate(request.locale, "errors.eventNotFound") });
+  }
+
+  let result;
+  try {
+    result = await saveEventChanges(existing.id, request.body, request.user, request.locale);
+  } catch (error) {
+    console.error("Error updating event:", error);
+    result = { status: 500, error: i18n.translate(request.locale, "errors.updateEventFailed") };
+  }
+  if (result.error) {
+    // Show the form again with what the admin entered, so nothing has to be typed twice
+    // Custom field changes that need confirming are listed above the form
+    return request.query.raw
+      ? reply.status(result.status).send({ success: false, message: result.error, fieldChanges: result.fieldChanges })
+      : renderEditEventPage(
+          request, reply, { ...existing, ...request.body },
+          { error: result.error, fieldChanges: result.fieldChanges },
+          result.status
+        );
+  }
+
+  const flash = request.body.scope === "series"
+    ? i18n.translate(request.locale, "flash.seriesUpdated", { count: result.eventIds.length })
+    : i18n.translate(request.locale, "flash.eventUpdated", { name: request.body.name });
+  return sendFormResult(request, reply, "/admin", 200, { success: true, ...result }, flash);
+});
+
+// The delete link opens a page asking to confirm first
+fastify.get("/admin/delete-event/:id", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const event = await db.getEventById(request.params.id);
+  if (!event) {
+    return reply.status(404).send({ success: false, message: i18n.translate(request.locale, "errors.eventNotFound") });
+  }
+  return request.query.raw
+    ? reply.send({ event: event })
+    : reply.view("/src/pages/delete-event.hbs", { seo: seo, event: event });
+});
+
+fastify.post("/admin/delete-event/:id", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const event = await db.getEventById(request.params.id);
+  let result = event ? null : { status: 404, error: i18n.translate(request.locale, "errors.eventNotFound") };
+  try {
+    result = result || (await archiveEvent(event.id, request.user, request.locale));
+  } catch (error) {
+    console.error("Error deleting event:", error);
+    result = { status: 500, error: i18n.translate(request.locale, "errors.deleteEventFailed") };
+  }
+  return result.error
+    ? sendFormResult(request, reply, "/admin", result.status, { success: false, message: result.error })
+    : sendFormResult(
+        request, reply, "/admin", 200,
+        { success: true, message: result.message },
+        i18n.translate(request.locale, "flash.eventDeleted", { name: event.name })
+      );
+});
+
+/**
+ * Admin: The event archive
+ *
+ * Deleted events wait here with their responses until they're restored or purged for good,
+ * or purged automatically after ARCHIVE_RETENTION_DAYS (see src/archive.js)
+ */
+fastify.get("/admin/archive", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const params = { seo: seo, retentionDays: archive.readSettings().retentionDays };
+  params.events = await db.getArchivedEvents();
+  if (!params.events) {
+    params.events = [];
+    params.error = i18n.translate(request.locale, "errors.database");
+  }
+  return request.query.raw
+    ? reply.send(params)
+    : reply.view("/src/pages/archive.hbs", params);
+});
+
+fastify.post("/admin/archive/:id/restore", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const event = await db.getEventById(request.params.id, null, true);
+  let result = event ? null : { status: 404, error: i18n.translate(request.locale, "errors.archivedEventNotFound") };
+  try {
+    result = result || (await restoreEvent(event.id, request.user, request.locale));
+  } catch (error) {
+    console.error("Error restoring event:", error);
+    result = { status: 500, error: i18n.translate(request.locale, "errors.restoreEventFailed") };
+  }
+  return result.error
+    ? sendFormResult(request, reply, "/admin/archive", result.status, { success: false, message: result.error })
+    : sendFormResult(
+        request, reply, "/admin/archive", 200,
+        { success: true, message: result.message },
+        i18n.translate(request.locale, "flash.eventRestored", { name: event.name })
+      );
+});
+
+// Purging can't be undone, so the purge link opens a page asking to confirm first
+fastify.get("/admin/purge-event/:id", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const event = await db.getEventById(request.params.id, null, true);
+  if (!event) {
+    return reply.status(404).send({ success: false, message: i18n.translate(request.locale, "errors.archivedEventNotFound") });
+  }
+  return request.query.raw
+    ? reply.send({ event: event })
+    : reply.view("/src/pages/purge-event.hbs", { seo: seo, event: event });
+});
+
+fastify.post("/admin/purge-event/:id", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const event = await db.getEventById(request.params.id, null, true);
+  let result = event ? null : { status: 404, error: i18n.translate(request.locale, "errors.archivedEventNotFound") };
+  try {
+    result = result || (await purgeEvent(event.id, request.user, request.locale));
+  } catch (error) {
+    console.error("Error purging event:", error);
+    result = { status: 500, error: i18n.translate(request.locale, "errors.purgeEventFailed") };
+  }
+  return result.error
+    ? sendFormResult(request, reply, "/admin/archive", result.status, { success: false, message: result.error })
+    : sendFormResult(
+        request, reply, "/admin/archive", 200,
+        { success: true, message: result.message },
+        i18n.translate(request.locale, "flash.eventPurged", { name: event.name })
+      );
+});
+
+/**
+ * Admin user management
+ *
+ * These routes serve the user management section of the admin page
+ * Forms are redirected back to /admin/users, raw json is returned if requested
+ */
+
+// Render the user management page, optionally with an error and status code
+async function renderUsersPage(request, reply, error, status = 200) {
+  let params = request.query.raw ? {} : { seo: seo, usersPage: true, roles: ROLES };
+  params.users = await db.getAllUsers();
+  params.groups = await db.getGroups();
+  if (!params.users || !params.groups) params.error = i18n.translate(request.locale, "errors.database");
+  if (error) params.error = error;
+  params.currentUserId = request.user.user_id;
+  params.registrationEnabled = await isRegistrationEnabled();
+  return request.query.raw
+    ? reply.status(status).send(params)
+    : reply.status(status).view("/src/pages/admin.hbs", params);
+}
+
+// Send the result of a user management action as json or back to the page
+function sendUserActionResult(request, reply, message) {
+  return request.query.raw
+    ? reply.send({ success: true, message: message })
+    : reply.redirect("/admin/users");
+}
+
+// Check the user can be changed by the current admin and send an error if not
+async function checkManagedUser(request, reply) {
+  const user = await db.getUserById(request.params.id);
+  if (!user) {
+    await renderUsersPage(request, reply, i18n.translate(request.locale, "errors.userNotFound"), 404);
+    return null;
+  }
+  if (user.id === request.user.user_id) {
+    await renderUsersPage(request, reply, i18n.translate(request.locale, "errors.ownAccount"), 400);
+    return null;
+  }
+  return user;
+}
+
+// Admin: List user accounts
+fastify.get("/admin/users", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  return renderUsersPage(request, reply);
+});
+
+// Admin: Create a user with a role
+fastify.post("/admin/users", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const t = (key, params) => i18n.translate(request.locale, key, params);
+  const username = (request.body.username || "").trim();
+  const { password, role } = request.body;
+
+  if (!username || !ROLES.includes(role)) {
+    return renderUsersPage(request, reply, t("errors.usernameAndRoleRequired"), 400);
+  }
+  const passwordError = checkNewPassword(request.locale, password);
+  if (passwordError) return renderUsersPage(request, reply, passwordError, 400);
+  if (await db.getUserByUsername(username)) {
+    return renderUsersPage(request, reply, t("errors.usernameTaken"), 409);
+  }
+
+  // The admin chose this password, so the user has to replace it when they first log in
+  const userId = await db.addUser(username, password, role, true);
+  if (!userId) return renderUsersPage(request, reply, t("errors.createUserFailed"), 500);
+  return request.query.raw
+    ? reply.send({ success: true, userId: userId })
+    : reply.redirect("/admin/users");
+});
+
+// Admin: Change a user's role
+fastify.post("/admin/users/:id/role", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const t = (key, params) => i18n.translate(request.locale, key, params);
+  const { role } = request.body;
+  if (!ROLES.includes(role)) {
+    return renderUsersPage(request, reply, t("errors.invalidRole"), 400);
+  }
+  const user = await checkManagedUser(request, reply);
+  if (!user) return reply;
+
+  const changes = await db.updateUserRole(user.id, role);
+  if (!changes) return renderUsersPage(request, reply, t("errors.updateRoleFailed"), 500);
+  live.disconnectUser(user.id);
+  return sendUserActionResult(request, reply, t("flash.roleUpdated"));
+});
+
+// Admin: Disable a user account so it can no longer log in
+fastify.post("/admin/users/:id/disable", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const t = (key, params) => i18n.translate(request.locale, key, params);
+  const user = await checkManagedUser(request, reply);
+  if (!user) return reply;
+
+  const changes = await db.setUserDisabled(user.id, true);
+  if (!changes) return renderUsersPage(request, reply, t("errors.disableUserFailed"), 500);
+  live.disconnectUser(user.id);
+  return sendUserActionResult(request, reply, t("flash.userDisabled"));
+});
+
+// Admin: Enable a disabled user account
+fastify.post("/admin/users/:id/enable", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const t = (key, params) => i18n.translate(request.locale, key, params);
+  const user = await checkManagedUser(request, reply);
+  if (!user) return reply;
+
+  const changes = await db.setUserDisabled(user.id, false);
+  if (!changes) return renderUsersPage(request, reply, t("errors.enableUserFailed"), 500);
+  return sendUserActionResult(request, reply, t("flash.userEnabled"));
+});
+
+// Admin: Set a new password for a user
+fastify.post("/admin/users/:id/password", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const t = (key, params) => i18n.translate(request.locale, key, params);
+  const { password } = request.body;
+  const passwordError = checkNewPassword(request.locale, password);
+  if (passwordError) return renderUsersPage(request, reply, passwordError, 400);
+  const user = await db.getUserById(request.params.id);
+  if (!user) return renderUsersPage(request, reply, t("errors.userNotFound"), 404);
+
+  const changes = await db.resetUserPassword(user.id, password);
+  if (!changes) return renderUsersPage(request, reply, t("errors.resetPasswordFailed"), 500);
+  return sendUserActionResult(request, reply, t("flash.passwordReset"));
+});
+
+// Admin: Add a user group, events can be made visible to its members only
+fastify.post("/admin/groups", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const t = (key, params) => i18n.translate(request.locale, key, params);
+  const name = (request.body.name || "").trim();
+  if (!name) return renderUsersPage(request, reply, t("errors.groupNameRequired"), 400);
+  if (await db.getGroupByName(name)) {
+    return renderUsersPage(request, reply, t("errors.groupExists"), 409);
+  }
+
+  const groupId = await db.addGroup(name);
+  if (!groupId) return renderUsersPage(request, reply, t("errors.createGroupFailed"), 500);
+  return request.query.raw
+    ? reply.send({ success: true, groupId: groupId })
+    : reply.redirect("/admin/users");
+});
+
+// Admin: Delete a user group
+fastify.post("/admin/groups/:id/delete", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const t = (key, params) => i18n.translate(request.locale, key, params);
+  const changes = await db.deleteGroup(request.params.id);
+  if (changes === undefined) return renderUsersPage(request, reply, t("errors.deleteGroupFailed"), 500);
+  if (!changes) return renderUsersPage(request, reply, t("errors.groupNotFound"), 404);
+  return sendUserActionResult(request, reply, t("flash.groupDeleted"));
+});
+
+// Admin: Add a user to a group
+fastify.post("/admin/groups/:id/members", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const t = (key, params) => i18n.translate(request.locale, key, params);
+  const groups = (await db.getGroups()) || [];
+  const group = groups.find((item) => item.id === Number(request.params.id));
+  if (!group) return renderUsersPage(request, reply, t("errors.groupNotFound"), 404);
+  const user = await db.getUserById(request.body.user_id);
+  if (!user) return renderUsersPage(request, reply, t("errors.userNotFound"), 404);
+
+  const added = await db.addGroupMember(group.id, user.id);
+  if (!added) return renderUsersPage(request, reply, t("errors.addMemberFailed"), 500);
+  return sendUserActionResult(request, reply, t("flash.memberAdded"));
+});
+
+// Admin: Remove a user from a group
+fastify.post("/admin/groups/:id/members/:user_id/remove", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const t = (key, params) => i18n.translate(request.locale, key, params);
+  const changes = await db.removeGroupMember(request.params.id, request.params.user_id);
+  if (changes === undefined) return renderUsersPage(request, reply, t("errors.removeMemberFailed"), 500);
+  if (!changes) return renderUsersPage(request, reply, t("errors.notAMember"), 404);
+  return sendUserActionResult(request, reply, t("flash.memberRemoved"));
+});
+
+
+// Admin: Switch self-registration on or off
+fastify.post("/admin/settings/registration", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const t = (key, params) => i18n.translate(request.locale, key, params);
+  const enabled = request.body.enabled === "1" || request.body.enabled === true;
+  if (!(await db.setSetting("registration_enabled", enabled ? "1" : "0"))) {
+    return renderUsersPage(request, reply, t("errors.saveSettingFailed"), 500);
+  }
+  return sendUserActionResult(request, reply, t(enabled ? "flash.registrationEnabled" : "flash.registrationDisabled"));
+});
+/**
+ * Admin: Set a user's response to an event
+ *
+ * Lets admins edit responses even after registration has closed
+ * The user's saved custom field values are kept unless new ones are sent
+ */
+fastify.post("/admin/events/:id/participants", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const { user_id, status, custom_field_values_json } = request.body;
+  const event = await db.getEventById(request.params.id);
+  if (!event) {
+    return reply.status(404).send({ success: false, message: i18n.translate(request.locale, "errors.eventNotFound") });
+  }
+  const user = await db.getUserById(user_id);
+  if (!user) {
+    return reply.status(404).send({ success: false, message: i18n.translate(request.locale, "errors.userNotFound") });
+  }
+
+  let submittedValues = custom_field_values_json;
+  if (submittedValues === undefined) {
+    const existing = await db.getParticipant(event.id, user.id);
+    submittedValues = existing ? existing.custom_field_values_json : undefined;
+  }
+
+  try {
+    const { code, body } = await saveParticipation(event, user.id, status, submittedValues, request.user, request.locale);
+    return sendFormResult(
+      request, reply, "/admin", code, body,
+      i18n.translate(request.locale, "flash.participantUpdated", { username: user.username, name: event.name })
+    );
+  } catch (error) {
+    console.error("Error overriding participant:", error);
+    return sendFormResult(
+      request, reply, "/admin", 500,
+      { success: false, message: i18n.translate(request.locale, "errors.updateParticipationFailed") }
+    );
+  }
+});
+
+/**
+ * Admin: Export participation data
+ *
+ * /admin/export/csv or /admin/export/xlsx exports every event,
+ * /admin/events/:id/export/csv or .../xlsx exports a single event, which can be in the archive
+ * Custom fields get one column each, the XLSX has one worksheet per event
+ */
+async function sendExport(request, reply, events, fileName) {
+  const { format } = request.params;
+  if (format !== "csv" && format !== "xlsx") {
+    return reply.status(400).send({ success: false, message: i18n.translate(request.locale, "errors.exportFormat") });
+  }
+
+  // An archived event is exported with the responses it kept
+  const archived = events.length > 0 && events.every((event) => event.archived_at);
+  const participants = await db.getAllParticipantsWithEventDetails(archived);
+  if (!participants) {
+    return reply.status(500).send({ success: false, message: i18n.translate(request.locale, "errors.database") });
+  }
+
+  if (format === "csv") {
+    return reply
+      .header("Content-Type", "text/csv; charset=utf-8")
+      .header("Content-Disposition", `attachment; filename="${fileName}.csv"`)
+      .send(exporter.toCsv(exporter.buildTable(events, participants, request.locale)));
+  }
+
+  const sheets = events.map((event) => ({
+    name: event.name,
+    table: exporter.buildTable([event], participants, request.locale),
+  }));
+  return reply
+    .header("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")
+    .header("Content-Disposition", `attachment; filename="${fileName}.xlsx"`)
+    .send(await exporter.toXlsx(sheets));
+}
+
+fastify.get("/admin/export/:format", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const events = await db.getAllEvents();
+  if (!events) {
+    return reply.status(500).send({ success: false, message: i18n.translate(request.locale, "errors.database") });
+  }
+  return sendExport(request, reply, events, "participants");
+});
+
+fastify.get("/admin/events/:id/export/:format", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const event = (await db.getEventById(request.params.id)) || (await db.getEventById(request.params.id, null, true));
+  if (!event) {
+    return reply.status(404).send({ success: false, message: i18n.translate(request.locale, "errors.eventNotFound") });
+  }
+  return sendExport(request, reply, [event], `event-${event.id}-participants`);
+});
+
+/**
+ * Admin: Import events or users from a CSV or JSON file
+ *
+ * Every row is checked first, and a dry run stops there with the report
+ * Rows that already exist are duplicates and are skipped, and nothing is imported
+ * while any row is invalid, so a bad file never leaves half its rows behind
+ * Imported users without a password get an invite link, shown once in the results
+ */
+// Invite links last a week
+const INVITE_DAYS = 7;
+
+// Check the rows of an event import, events with the same name and date count as the same event
+async function checkEventImport(records, locale) {
+  const dates = [...new Set(records.map((record) => String(record.values.date || "").trim()))];
+  const groups = await db.getGroups();
+  const users = await db.getAllUsers();
+  const existing = await db.getEventsOnDates(dates);
+  if (!groups || !users || !existing) return null;
+
+  const groupIds = new Map(groups.map((group) => [group.name, group.id]));
+  const userIds = new Map(users.map((user) => [user.username, user.id]));
+  const existingIds = new Map(existing.map((event) => [`${event.date}\n${event.name}`, event.id]));
+  const seen = new Map();
+  return records.map(({ row, values }) => {
+    const { body, errors } = importer.readEventRecord(values, groupIds, userIds, locale);
+    const { event, error } = readEventForm(body, locale);
+    if (error) errors.push(error);
+    const key = `${body.date}\n${body.name}`;
+    if (seen.has(key)) errors.push(i18n.translate(locale, "errors.importSameEvent", { row: seen.get(key) }));
+    else seen.set(key, row);
+
+    const label = `${body.name} (${body.date})`;
+    if (errors.length) return { row, label, status: "invalid", errors };
+    if (existingIds.has(key)) return { row, label, status: "duplicate", errors, id: existingIds.get(key) };
+    return { row, label, status: "new", errors, record: event };
+  });
+}
+
+// Check the rows of a user import, usernames that are taken count as the same user
+async function checkUserImport(records, locale) {
+  const users = await db.getAllUsers();
+  if (!users) return null;
+
+  const existingIds = new Map(users.map((user) => [user.username, user.id]));
+  const seen = new Map();
+  return records.map(({ row, values }) => {
+    const { user, errors } = importer.readUserRecord(values, locale);
+    if (!ROLES.includes(user.role)) errors.push(i18n.translate(locale, "errors.importInvalidRole", { options: ROLES }));
+    if (user.password) {
+      const passwordError = checkNewPassword(locale, user.password);
+      if (passwordError) errors.push(passwordError);
+    }
+    if (user.email && !EMAIL_PATTERN.test(user.email)) errors.push(i18n.translate(locale, "errors.importInvalidEmail"));
+    if (seen.has(user.username)) errors.push(i18n.translate(locale, "errors.importSameUser", { row: seen.get(user.username) }));
+    else if (user.username) seen.set(user.username, row);
+
+    const label = user.username;
+    if (errors.length) return { row, label, status: "invalid", errors };
+    if (existingIds.has(user.username)) return { row, label, status: "duplicate", errors, id: existingIds.get(user.username) };
+    return { row, label, status: "new", errors, record: user };
+  });
+}
+
+/**
+ * Read and check an import file
+ *
+ * Returns { rows, summary } where each row has its number, a label, its status (new, duplicate
+ * or invalid) and its errors, and new rows also have the record to add
+ * Returns { status, error } when the file can't be imported at all
+ * Problems are described in the locale
+ */
+async function checkImport(kind, content, format, locale) {
+  if (!importer.IMPORT_KINDS.includes(kind)) {
+    return { status: 400, error: i18n.translate(locale, "errors.importKind", { kinds: importer.IMPORT_KINDS }) };
+  }
+  const { records, error } = importer.readFile(content, format, locale);
+  if (error) return { status: 400, error: error };
+  if (!records.length) return { status: 400, error: i18n.translate(locale, "errors.importNoRows") };
+
+  const rows = kind === "events" ? await checkEventImport(records, locale) : await checkUserImport(records, locale);
+  if (!rows) return { status: 500, error: i18n.translate(locale, "errors.checkImportFailed") };
+  return { rows: rows, summary: importer.summarize(rows) };
+}
+
+/**
+ * Add the new rows of a checked import in one transaction
+ *
+ * Sets the id of each added row, and the invite link of users without a password
+ * Returns an error message when nothing could be added
+ */
+async function runImport(kind, rows, request) {
+  const newRows = rows.filter((row) => row.status === "new");
+  if (!newRows.length) return null;
+
+  let ids;
+  if (kind === "events") {
+    ids = await db.importEvents(newRows.map((row) => row.record), request.user);
+  } else {
+    const inviteExpiresAt = new Date(Date.now() + INVITE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    for (const row of newRows) {
+      if (row.record.password) continue;
+      const token = crypto.randomBytes(24).toString("hex");
+      row.record.invite_token_hash = apiTokens.hashToken(token);
+      row.record.invite_expires_at = inviteExpiresAt;
+      row.invite_url = `${request.protocol}://${request.hostname}/invite/${token}`;
+    }
+    ids = await db.importUsers(newRows.map((row) => row.record));
+  }
+  if (!ids) return i18n.translate(request.locale, "errors.importFailed");
+
+  newRows.forEach((row, index) => {
+    row.id = ids[index];
+  });
+  if (kind === "events") {
+    for (const id of ids) live.publish("event.created", { event: await db.getEventById(id) });
+  }
+  return null;
+}
+
+// Render the import page
+function renderImportPage(reply, extraParams = {}, status = 200) {
+  return reply.status(status).view("/src/pages/import.hbs", {
+    seo: seo,
+    kinds: importer.IMPORT_KINDS,
+    formats: importer.IMPORT_FORMATS,
+    kind: "events",
+    ...extraParams,
+  });
+}
+
+fastify.get("/admin/import", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  return request.query.raw
+    ? reply.send({ kinds: importer.IMPORT_KINDS, formats: importer.IMPORT_FORMATS })
+    : renderImportPage(reply, importer.IMPORT_KINDS.includes(request.query.kind) ? { kind: request.query.kind } : {});
+});
+
+fastify.post("/admin/import", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const { kind, format, content } = request.body;
+  const dryRun = !!request.body.dry_run && request.body.dry_run !== "false";
+  const form = { kind: kind, format: format, content: content };
+
+  const { rows, summary, status, error } = await checkImport(kind, content, format, request.locale);
+  if (error) {
+    return request.query.raw
+      ? reply.status(status).send({ success: false, message: error })
+      : renderImportPage(reply, { ...form, error: error }, status);
+  }
+
+  // A dry run only reports on the rows, an import needs every row to be valid
+  let failure = null;
+  if (!dryRun && summary.invalid) {
+    failure = { status: 400, message: i18n.translate(request.locale, "errors.importInvalidRows") };
+  } else if (!dryRun) {
+    const importError = await runImport(kind, rows, request);
+    if (importError) failure = { status: 500, message: importError };
+  }
+  if (!dryRun && !failure) summary.imported = summary.new;
+
+  // The records stay on the server, they can hold the passwords from the file
+  const results = rows.map(({ record, ...row }) => row);
+  if (request.query.raw) {
+    return failure
+      ? reply.status(failure.status).send({ success: false, message: failure.message, summary, rows: results })
+      : reply.send({ success: true, dryRun: dryRun, summary, rows: results });
+  }
+  return renderImportPage(reply, {
+    // After an import the form starts over, after a preview it keeps the file to import next
+    ...(dryRun || failure ? form : { kind: kind }),
+    error: failure && failure.message,
+    dryRun: dryRun,
+    summary: summary,
+    rows: results,
+  }, failure ? failure.status : 200);
+});
+
+
+/**
+ * Admin: History of event and participation changes
+ *
+ * Filter with query parameters event_id, user_id, action, from and to (YYYY-MM-DD)
+ * e.g. /admin/audit?event_id=3&action=event.updated shows who changed an event
+ */
+fastify.get("/admin/audit", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  let params = request.query.raw ? {} : { seo: seo, actions: audit.AUDIT_ACTIONS };
+  const { event_id, user_id, action, from, to } = request.query;
+  params.filters = { event_id, user_id, action, from, to };
+
+  let status = 400;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+    params.error = i18n.translate(request.locale, "errors.dateFormat");
+  } else if (action && !audit.AUDIT_ACTIONS.includes(action)) {
+    params.error = i18n.translate(request.locale, "errors.unknownAction");
+  } else {
+    const entries = await db.getAuditLog(params.filters);
+    status = entries ? 200 : 500;
+    if (entries) params.entries = audit.formatEntries(entries);
+    else params.error = i18n.translate(request.locale, "errors.database");
+  }
+
+  if (!request.query.raw) {
+    // Options for the event and user filters
+    params.events = (await db.getAllEvents()) || [];
+    params.users = (await db.getAllUsers()) || [];
+  }
+  return request.query.raw
+    ? reply.status(status).send(params)
+    : reply.status(status).view("/src/pages/audit.hbs", params);
+});
+
+
+/**
+ * Admin: Notification outbox
+ *
+ * Shows the queued, sent and failed messages, filter with query parameters status and event_id
+ * Failed messages can be sent again
+ */
+fastify.get("/admin/notifications", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  let params = request.query.raw ? {} : { seo: seo, statuses: notifications.NOTIFICATION_STATUSES };
+  const { status, event_id } = request.query;
+  params.filters = { status, event_id };
+  params.transports = notifications.readSettings().transports;
+
+  let code = 400;
+  if (status && !notifications.NOTIFICATION_STATUSES.includes(status)) {
+    params.error = i18n.translate(request.locale, "errors.unknownStatus");
+  } else {
+    params.notifications = await db.getNotifications(params.filters);
+    code = params.notifications ? 200 : 500;
+    if (!params.notifications) params.error = i18n.translate(request.locale, "errors.database");
+  }
+  return request.query.raw
+    ? reply.status(code).send(params)
+    : reply.status(code).view("/src/pages/notifications.hbs", params);
+});
+
+fastify.post("/admin/notifications/:id/retry", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const changes = await db.retryNotification(request.params.id);
+  if (changes === undefined) {
+    return reply.status(500).send({ success: false, message: i18n.translate(request.locale, "errors.retryNotificationFailed") });
+  }
+  if (!changes) {
+    return reply.status(404).send({ success: false, message: i18n.translate(request.locale, "errors.notificationNotFound") });
+  }
+  // Send it now rather than waiting for the next run
+  notifier.runOnce();
+  return request.query.raw
+    ? reply.send({ success: true, message: i18n.translate(request.locale, "flash.notificationRequeued") })
+    : reply.redirect("/admin/notifications");
+});
+
+/**
+ * Check-in at the door
+ *
+ * Staff scan a participant's QR code, which opens /check-in with the code filled in,
+ * or type the code in, then confirm to mark the participant as attended
+ */
+async function renderCheckInPage(request, reply, extraParams = {}, status = 200) {
+  let params = request.query.raw ? {} : { seo: seo, isAdmin: request.user.role === "admin" };
+  Object.assign(params, extraParams);
+  return request.query.raw
+    ? reply.status(status).send(params)
+    : reply.status(status).view("/src/pages/check-in.hbs", params);
+}
+
+fastify.get("/check-in", { onRequest: [fastify.authorize(["admin", "staff"])] }, async (request, reply) => {
+  return renderCheckInPage(request, reply, { code: request.query.code || "" });
+});
+
+fastify.post("/check-in", { onRequest: [fastify.authorize(["admin", "staff"])] }, async (request, reply) => {
+  const code = request.body.code;
+  const result = await checkInWithCode(code, request.user, request.locale);
+  if (result.error) {
+    return renderCheckInPage(request, reply, { success: false, error: result.error, code: code }, result.status);
+  }
+  return renderCheckInPage(request, reply, {
+    success: true,
+    message: i18n.translate(request.locale, "flash.checkedIn", { username: result.username, event: result.event.name }),
+    checkedIn: { username: result.username, event: result.event, checked_in_at: result.participation.checked_in_at },
+  });
+});
+
+// Admin: Who came to an event and who didn't show up
+fastify.get("/admin/events/:id/attendance", { onRequest: [fastify.authorize(["admin"])] }, async (request, reply) => {
+  const event = await db.getEventById(request.params.id);
+  if (!event) {
+    return reply.status(404).send({ success: false, message: i18n.translate(request.locale, "errors.eventNotFound") });
+  }
+  const attendance = await db.getAttendanceByEventId(event.id);
+  if (!attendance) {
+    return reply.status(500).send({ success: false, message: i18n.translate(request.locale, "errors.database") });
+  }
+
+  let params = request.query.raw ? {} : { seo: seo };
+  params.event = event;
+  params.attended = attendance.filter((participant) => participant.checked_in_at);
+  params.noShows = attendance.filter((participant) => !participant.checked_in_at);
+  return request.query.raw
+    ? reply.send(params)
+    : reply.view("/src/pages/attendance.hbs", params);
+});
+
+/**
+ * Get the user's responses with the event details, for "my participations"
+ *
+ * Confirmed participants get a check-in code, and a QR code of it on the page
+ */
+async function loadMyParticipations(request) {
+  const user_id = request.user.user_id;
+  const participations = await db.getParticipantEventsByUserId(user_id);
+  // Confirmed participants get a code to show at the door
+  for (const participation of participations || []) {
+    if (participation.status !== "參加") continue;
+    participation.check_in_code = checkIn.createCode({
+      id: participation.participant_id,
+      event_id: participation.event_id,
+      user_id: user_id,
+    });
+    if (!request.query.raw) {
+      participation.check_in_qr = await checkIn.toQrDataUrl(
+        `${request.protocol}://${request.hostname}/check-in?code=${participation.check_in_code}`
+      );
+    }
+  }
+  return participations;
+}
+
+// User: Get all events for user view
 fastify.get("/user", { onRequest: [fastify.authorize(["user"])] }, async (request, reply) => {
   let params = request.query.raw ? {} : { seo: seo };
+  let status = 200;
   try {
-    params.events = await db.getAllEvents();
-    params.user = request.session.user; // Pass user info to template
+    const { status: listStatus, ...list } = await loadEventList(request, "/user");
+    status = listStatus;
+    Object.assign(params, list);
+    params.myParticipations = await loadMyParticipations(request);
+    const responses = new Map((params.myParticipations || []).map((participation) => [participation.event_id, participation]));
+    // Parse each schema so the page can render the custom field inputs,
+    // filled in with the user's saved answers or else the defaults
+    params.events = (params.events || []).map((event) => {
+      const rsvp = rsvpWindow.getRsvpWindow(event, request.locale);
+      const response = responses.get(event.id);
+      const answers = response ? schemaChanges.readValues(response.custom_field_values_json) : {};
+      return {
+        ...event,
+        custom_fields: validator.parseSchema(event.custom_fields_schema_json).fields.map((field) => ({
+          ...field,
+          value: field.name in answers ? answers[field.name] : field.default,
+        })),
+        my_status: response ? response.status : null,
+        rsvp_state: rsvp.state,
+        rsvp_opens_at: rsvp.opensAt ? rsvp.opensAt.toISOString() : null,
+        rsvp_closes_at: isNaN(rsvp.closesAt) ? null : rsvp.closesAt.toISOString(),
+      };
+    });
+    params.user = request.user; // Pass user info to template
   } catch (error) {
     console.error("Error fetching user events:", error);
-    params.error = data.errorMessage;
+    params.error = i18n.translate(request.locale, "errors.database");
   }
   return request.query.raw
-    ? reply.send(params)
-    : reply.view("/src/pages/user.hbs", params);
+    ? reply.status(status).send(params)
+    : reply.status(status).view("/src/pages/user.hbs", params);
 });
 
-// User: Participate in an event (add/update)
+/**
+ * Save the user's response to an event
+ *
+ * Takes custom_field_values_json as an object or a JSON string,
+ * or one cf_<field name> form input per custom field
+ * With apply_to=series the response is saved for this and every later occurrence of the series
+ * Returns the status code and the body to send back like saveParticipation, and the event when it exists
+ */
+async function respondToEvent(event_id, input, user, locale) {
+  const { status, custom_field_values_json } = input;
+
+  // Events the user can't see answer the same as events that don't exist
+  const event = await db.getEventById(event_id, user.user_id);
+  if (!event) {
+    return { code: 404, body: { success: false, message: i18n.translate(locale, "errors.eventNotFound") } };
+  }
+
+  const submittedValues = custom_field_values_json !== undefined
+    ? custom_field_values_json
+    : validator.collectFormValues(event.custom_fields_schema_json, input);
+
+  // Respond to this and every later occurrence of a series at once
+  if (input.apply_to === "series" && event.series_id) {
+    return { event, ...(await saveSeriesParticipation(event, user.user_id, status, submittedValues, user, locale)) };
+  }
+
+  // Responses can only be changed while registration is open
+  const rsvp = rsvpWindow.getRsvpWindow(event, locale);
+  if (rsvp.state !== "open") {
+    return { event, code: 403, body: { success: false, message: rsvp.message } };
+  }
+
+  return { event, ...(await saveParticipation(event, user.user_id, status, submittedValues, user, locale)) };
+}
+
+/**
+ * User: Participate in an event (add/update)
+ *
+ * Values are checked against the event's schema and rejected with a 400 and per-field errors
+ */
 fastify.post("/user/participate", { onRequest: [fastify.authorize(["user"])] }, async (request, reply) => {
-  const { event_id, status, custom_field_values_json } = request.body;
-  const user_id = request.session.user.user_id;
   try {
-    const result = await db.addOrUpdateParticipant(event_id, user_id, status, custom_field_values_json);
-    return reply.send({ success: true, result: result });
+    const { code, body } = await respondToEvent(request.body.event_id, request.body, request.user, request.locale);
+    return reply.status(code).send(body);
+  } catch (error) {
+    console.error("Error adding/updating participant:", error);
+    return reply.status(500).send({ success: false, message: i18n.translate(request.locale, "errors.updateParticipationFailed") });
+  }
+});
+
+// User: The response form for each event on /user, which goes back there with a flash message
+fastify.post("/user/participate-event/:id", { onRequest: [fastify.authorize(["user"])] }, async (request, reply) => {
+  const t = (key, params) => i18n.translate(request.locale, key, params);
+  try {
+    const { code, body, event } = await respondToEvent(request.params.id, request.body, request.user, request.locale);
+    let flash = null;
+    if (body.results) {
+      flash = t("flash.seriesResponseSaved", { count: body.results.length });
+    } else if (body.success) {
+      flash = body.result.waitlist_position
+        ? t("flash.waitlisted", { name: event.name, position: body.result.waitlist_position })
+        : t("flash.responseSaved", { name: event.name, status: t(["status", body.result.status]) });
+    }
+    return sendFormResult(request, reply, "/user", code, body, flash);
   } catch (error) {
     console.error("Error adding/updating participant:", error);
-    return reply.status(500).send({ success: false, message: "Failed to update participation." });
+    return sendFormResult(request, reply, "/user", 500, { success: false, message: t("errors.updateParticipationFailed") });
   }
 });
 
 // User: Get user's own participations
 fastify.get("/user/my-participations", { onRequest: [fastify.authorize(["user"])] }, async (request, reply) => {
   let params = request.query.raw ? {} : { seo: seo };
-  const user_id = request.session.user.user_id;
   try {
-    params.myParticipations = await db.getParticipantEventsByUserId(user_id);
-    params.user = request.session.user; // Pass user info to template
+    params.myParticipations = await loadMyParticipations(request);
+    params.user = request.user; // Pass user info to template
   } catch (error) {
     console.error("Error fetching user participations:", error);
-    params.error = data.errorMessage;
+    params.error = i18n.translate(request.locale, "errors.database");
   }
   return request.query.raw
     ? reply.send(params)
     : reply.view("/src/pages/user.hbs", params);
 });
 
+// Let a notification run finish before the server shuts down
+fastify.addHook("onClose", () => notifier.stop());
+fastify.addHook("onClose", () => sessionStore.stop());
+fastify.addHook("onClose", () => archive.stop());
 
-// Run the server and report out to the logs
-fastify.listen(
-  { port: process.env.PORT, host: "0.0.0.0" },
-  function (err, address) {
-    if (err) {
-      console.error(err);
-      process.exit(1);
+// Run the server once the database is migrated and report out to the logs
+db.ready.then(
+  () => fastify.listen(
+    { port: process.env.PORT, host: "0.0.0.0" },
+    function (err, address) {
+      if (err) {
+        console.error(err);
+        process.exit(1);
+      }
+      console.log(`Your app is listening on ${address}`);
+      notifier.start();
+      sessionStore.start();
+      archive.start();
     }
-    console.log(`Your app is listening on ${address}`);
+  ),
+  (err) => {
+    console.error("Error setting up the database:", err);
+    process.exit(1);
   }
 );
@@ -0,0 +1,60 @@
+/**
+ * Module creates and checks personal API tokens
+ *
+ * Scripts send a token as "Authorization: Bearer <token>" instead of logging in with a form
+ * Only a SHA-256 hash of each token is stored, so the token itself is shown once when it's created
+ * Read tokens can only make GET requests, write tokens can do anything their user can
+ */
+
+const crypto = require("crypto");
+
+const TOKEN_SCOPES = ["read", "write"];
+// Makes the tokens easy to spot, e.g. when one is pasted somewhere by mistake
+const TOKEN_PREFIX = "ws2e_";
+// Methods a read token is allowed to use
+const READ_METHODS = ["GET", "HEAD"];
+
+/**
+ * Make a new random token
+ */
+function generateToken() {
+  return TOKEN_PREFIX + crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Hash a token the way it is stored in the database
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Get the bearer token from a request's Authorization header, or null if there isn't one
+ */
+function readBearerToken(request) {
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.authorization || "");
+  return match ? match[1] : null;
+}
+
+/**
+ * Check whether a token's expiry time has passed
+ */
+function isExpired(token, now = new Date()) {
+  return !!token.expires_at && new Date(token.expires_at) <= now;
+}
+
+/**
+ * Check whether a token's scope allows a request method
+ */
+function allowsMethod(token, method) {
+  return token.scope === "write" || READ_METHODS.includes(method);
+}
+
+module.exports = {
+  TOKEN_SCOPES,
+  generateToken,
+  hashToken,
+  readBearerToken,
+  isExpired,
+  allowsMethod,
+};
@@ -0,0 +1,1081 @@
+/**
+ * Module holds the versioned JSON API, registered under /api/v1 by server.js
+ *
+ * Unlike the ?raw=json responses of the page routes, every API response has the same shape:
+ * - { data } for a single resource
+ * - { data, pagination } for a list
+ * - { error: { code, message, details } } with a matching status code when something went wrong
+ * Requests and responses are checked against the JSON schemas below, which also make up
+ * the OpenAPI document served at /api/v1/openapi.json
+ */
+
+const data = require("./data.json");
+const db = require("./" + data.database);
+const validator = require("./validator.js");
+const rsvpWindow = require("./rsvp-window.js");
+const live = require("./live.js");
+const eventFilters = require("./event-filters.js");
+const recurrence = require("./recurrence.js");
+const polls = require("./polls.js");
+const audience = require("./audience.js");
+const checkIn = require("./check-in.js");
+const i18n = require("./i18n.js");
+
+const API_PREFIX = "/api/v1";
+const DEFAULT_PER_PAGE = 20;
+const MAX_PER_PAGE = 100;
+// API errors are always in English, whatever language the pages are in
+const API_LOCALE = "en";
+const DATABASE_ERROR = i18n.translate(API_LOCALE, "errors.database");
+
+/**
+ * Build the error envelope sent with every failed API request
+ */
+function errorBody(code, message, details) {
+  const error = { code: code, message: message };
+  if (details) error.details = details;
+  return { error: error };
+}
+
+/**
+ * Check whether a request is for the API rather than a page
+ */
+function isApiRequest(request) {
+  return request.url === API_PREFIX || request.url.startsWith(API_PREFIX + "/");
+}
+
+function sendError(reply, status, code, message, details) {
+  return reply.status(status).send(errorBody(code, message, details));
+}
+
+// Codes for the status codes the shared route helpers return
+const ERROR_CODES = {
+  400: "validation_failed",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  500: "internal_error",
+};
+
+// Errors @fastify/csrf-protection sends for a missing or wrong CSRF token
+const CSRF_ERRORS = ["FST_CSRF_MISSING_SECRET", "FST_CSRF_INVALID_TOKEN"];
+
+// Parse stored JSON, falling back when it's missing or broken
+function parseJson(json, fallback) {
+  try {
+    const value = JSON.parse(json || "null");
+    return value === null ? fallback : value;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// Describe where a page is in the whole list
+function pageInfo(query, total) {
+  return {
+    page: query.page,
+    per_page: query.per_page,
+    total: total,
+    total_pages: Math.ceil(total / query.per_page),
+  };
+}
+
+// Cut one page out of a list
+function paginate(items, query) {
+  const { page, per_page } = query;
+  return {
+    data: items.slice((page - 1) * per_page, page * per_page),
+    pagination: pageInfo(query, items.length),
+  };
+}
+
+// Shape an events table row for the API
+function toApiEvent(event) {
+  return {
+    ...event,
+    custom_fields: validator.parseSchema(event.custom_fields_schema_json).fields,
+    rsvp_state: rsvpWindow.getRsvpWindow(event).state,
+    series_exception: !!event.series_exception,
+  };
+}
+
+// Add the groups and invited users an event is for, which only admins get to see
+async function withAudience(event, user) {
+  if (user.role !== "admin") return event;
+  return { ...event, ...(await db.getEventAudience(event.id)) };
+}
+
+// Shape a series and its occurrences for the API
+function toApiSeries(series, events) {
+  return { ...series, events: events.map(toApiEvent) };
+}
+
+// Shape a participation row for the API
+function toApiParticipation(participation) {
+  return {
+    ...participation,
+    custom_field_values: parseJson(participation.custom_field_values_json, {}),
+    archived_values: parseJson(participation.archived_values_json, []),
+  };
+}
+
+// Shape a users table row for the API, leaving out the password hash and calendar token
+function toApiUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    disabled: !!user.disabled,
+    must_change_password: !!user.must_change_password,
+  };
+}
+
+// Turn the event fields of an API request into the form the page routes use
+function toEventForm(body) {
+  return {
+    ...body,
+    custom_fields_schema_json: JSON.stringify(body.custom_fields || []),
+  };
+}
+
+/**
+ * Shared schemas, referenced from the routes as { $ref: "Name#" }
+ */
+const schemas = [
+  {
+    $id: "Error",
+    type: "object",
+    properties: {
+      error: {
+        type: "object",
+        properties: {
+          code: { type: "string" },
+          message: { type: "string" },
+          details: { type: "array", items: { type: "object", additionalProperties: true } },
+        },
+        required: ["code", "message"],
+      },
+    },
+    required: ["error"],
+  },
+  {
+    $id: "Pagination",
+    type: "object",
+    properties: {
+      page: { type: "integer" },
+      per_page: { type: "integer" },
+      total: { type: "integer" },
+      total_pages: { type: "integer" },
+    },
+  },
+  {
+    $id: "CustomField",
+    type: "object",
+    description: "A custom field definition, see the admin page for the available types and settings",
+    properties: {
+      name: { type: "string" },
+      type: { type: "string", enum: validator.FIELD_TYPES },
+    },
+    required: ["name", "type"],
+    additionalProperties: true,
+  },
+  {
+    $id: "Event",
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      name: { type: "string" },
+      date: { type: "string" },
+      location: { type: "string" },
+      type: { type: "string" },
+      custom_fields: { type: "array", items: { $ref: "CustomField#" } },
+      max_attendees: { type: ["integer", "null"] },
+      registration_opens_at: { type: ["string", "null"] },
+      registration_closes_at: { type: ["string", "null"] },
+      rsvp_state: { type: "string", enum: ["not_open", "open", "closed"] },
+      confirmed_count: { type: "integer" },
+      waitlisted_count: { type: "integer" },
+      revision: { type: "integer" },
+      updated_at: { type: ["string", "null"] },
+      series_id: { type: ["integer", "null"] },
+      series_exception: { type: "boolean", description: "Edited on its own, so edits to the whole series skip it" },
+      visibility: { type: "string", enum: audience.VISIBILITIES },
+      group_ids: { type: "array", items: { type: "integer" }, description: "Only sent to admins" },
+      invited_user_ids: { type: "array", items: { type: "integer" }, description: "Only sent to admins" },
+      archived_at: { type: ["string", "null"], description: "When the event was deleted, only set on events in the archive" },
+      archived_by: { type: ["integer", "null"] },
+    },
+  },
+  {
+    $id: "EventInput",
+    type: "object",
+    properties: {
+      name: { type: "string", minLength: 1 },
+      date: { type: "string", format: "date" },
+      location: { type: "string", minLength: 1 },
+      type: { type: "string", minLength: 1 },
+      custom_fields: { type: "array", items: { $ref: "CustomField#" } },
+      custom_field_renames: {
+        type: "object",
+        additionalProperties: { type: "string", minLength: 1 },
+        description: "Fields renamed by this edit, old name -> new name, their answers move to the new name",
+      },
+      confirm_schema_changes: {
+        type: "boolean",
+        description: "Save custom field changes that rename, retype or remove answered fields, they're refused with 409 otherwise",
+      },
+      max_attendees: { type: ["integer", "null"], minimum: 1 },
+      registration_opens_at: { type: ["string", "null"] },
+      registration_closes_at: { type: ["string", "null"] },
+      visibility: { type: "string", enum: audience.VISIBILITIES, default: "public" },
+      group_ids: { type: "array", items: { type: "integer", minimum: 1 }, description: "The groups who can see a groups event" },
+      invited_user_ids: { type: "array", items: { type: "integer", minimum: 1 }, description: "The users who can see an invite event" },
+    },
+    required: ["name", "date", "location", "type"],
+    additionalProperties: false,
+  },
+  {
+    $id: "Recurrence",
+    type: "object",
+    description: "Repeat the first date every interval days, weeks or months, until a date or for a number of occurrences",
+    properties: {
+      frequency: { type: "string", enum: recurrence.FREQUENCIES },
+      interval: { type: "integer", minimum: 1, default: 1 },
+      until: { type: ["string", "null"], format: "date" },
+      count: { type: ["integer", "null"], minimum: 1, maximum: recurrence.MAX_OCCURRENCES },
+    },
+    required: ["frequency"],
+  },
+  {
+    $id: "Series",
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      frequency: { type: "string" },
+      interval: { type: "integer" },
+      until: { type: ["string", "null"] },
+      count: { type: ["integer", "null"] },
+      created_at: { type: "string" },
+      events: { type: "array", items: { $ref: "Event#" } },
+    },
+  },
+  {
+    $id: "SeriesInput",
+    type: "object",
+    description: "The first occurrence and the recurrence rule, registration times can only be set per occurrence",
+    properties: {
+      name: { type: "string", minLength: 1 },
+      date: { type: "string", format: "date" },
+      location: { type: "string", minLength: 1 },
+      type: { type: "string", minLength: 1 },
+      custom_fields: { type: "array", items: { $ref: "CustomField#" } },
+      max_attendees: { type: ["integer", "null"], minimum: 1 },
+      recurrence: { $ref: "Recurrence#" },
+      visibility: { type: "string", enum: audience.VISIBILITIES, default: "public" },
+      group_ids: { type: "array", items: { type: "integer", minimum: 1 }, description: "The groups who can see a groups event" },
+      invited_user_ids: { type: "array", items: { type: "integer", minimum: 1 }, description: "The users who can see an invite event" },
+    },
+    required: ["name", "date", "location", "type", "recurrence"],
+    additionalProperties: false,
+  },
+  {
+    $id: "SeriesUpdate",
+    type: "object",
+    description: "Applied to every upcoming occurrence that wasn't edited on its own",
+    properties: {
+      name: { type: "string", minLength: 1 },
+      location: { type: "string", minLength: 1 },
+      type: { type: "string", minLength: 1 },
+      custom_fields: { type: "array", items: { $ref: "CustomField#" } },
+      custom_field_renames: {
+        type: "object",
+        additionalProperties: { type: "string", minLength: 1 },
+        description: "Fields renamed by this edit, old name -> new name, their answers move to the new name",
+      },
+      confirm_schema_changes: {
+        type: "boolean",
+        description: "Save custom field changes that rename, retype or remove answered fields, they're refused with 409 otherwise",
+      },
+      max_attendees: { type: ["integer", "null"], minimum: 1 },
+      visibility: { type: "string", enum: audience.VISIBILITIES, default: "public" },
+      group_ids: { type: "array", items: { type: "integer", minimum: 1 }, description: "The groups who can see a groups event" },
+      invited_user_ids: { type: "array", items: { type: "integer", minimum: 1 }, description: "The users who can see an invite event" },
+    },
+    required: ["name", "location", "type"],
+    additionalProperties: false,
+  },
+  {
+    $id: "Participation",
+    type: "object",
+    properties: {
+      participant_id: { type: "integer" },
+      event_id: { type: "integer" },
+      event_name: { type: "string" },
+      user_id: { type: "integer" },
+      username: { type: "string" },
+      status: { type: "string", enum: ["參加", "不參加", "候補"] },
+      waitlist_position: { type: ["integer", "null"] },
+      custom_field_values: { type: "object", additionalProperties: true },
+      archived_values: {
+        type: "array",
+        items: { type: "object", additionalProperties: true },
+        description: "Answers to custom fields that were removed or changed, as { field, value, reason, archived_at }",
+      },
+      checked_in_at: { type: ["string", "null"] },
+      check_in_code: { type: "string", description: "Only on the user's own confirmed participations, shown at the door" },
+    },
+  },
+  {
+    $id: "ParticipationInput",
+    type: "object",
+    properties: {
+      status: { type: "string", enum: ["參加", "不參加"] },
+      custom_field_values: { type: "object", additionalProperties: true },
+    },
+    required: ["status"],
+    additionalProperties: false,
+  },
+  {
+    $id: "Poll",
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      event_id: { type: "integer" },
+      question: { type: "string" },
+      multiple_choice: { type: "boolean" },
+      created_at: { type: "string" },
+      voters: { type: "integer" },
+      has_voted: { type: "boolean", description: "Whether the logged in user has voted" },
+      options: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "integer" },
+            label: { type: "string" },
+            votes: { type: "integer" },
+            selected: { type: "boolean", description: "Picked by the logged in user" },
+          },
+        },
+      },
+    },
+  },
+  {
+    $id: "PollInput",
+    type: "object",
+    properties: {
+      question: { type: "string", minLength: 1 },
+      options: { type: "array", items: { type: "string", minLength: 1 }, minItems: 2, maxItems: polls.MAX_OPTIONS },
+      multiple_choice: { type: "boolean", default: false },
+    },
+    required: ["question", "options"],
+    additionalProperties: false,
+  },
+  {
+    $id: "VoteInput",
+    type: "object",
+    description: "The chosen option ids, exactly one for a single choice poll",
+    properties: {
+      option_ids: { type: "array", items: { type: "integer" }, minItems: 1 },
+    },
+    required: ["option_ids"],
+    additionalProperties: false,
+  },
+  {
+    $id: "CheckInInput",
+    type: "object",
+    properties: {
+      code: { type: "string", minLength: 1, description: "The code from the participant's QR code" },
+    },
+    required: ["code"],
+    additionalProperties: false,
+  },
+  {
+    $id: "Attendance",
+    type: "object",
+    description: "The confirmed participants of an event, split by whether they checked in",
+    properties: {
+      event_id: { type: "integer" },
+      attended: { type: "array", items: { $ref: "AttendanceEntry#" } },
+      no_shows: { type: "array", items: { $ref: "AttendanceEntry#" } },
+    },
+  },
+  {
+    $id: "AttendanceEntry",
+    type: "object",
+    properties: {
+      participant_id: { type: "integer" },
+      user_id: { type: "integer" },
+      username: { type: "string" },
+      checked_in_at: { type: ["string", "null"] },
+      checked_in_by: { type: ["string", "null"], description: "Username of the admin or staff member who checked them in" },
+    },
+  },
+  {
+    $id: "User",
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      username: { type: "string" },
+      role: { type: "string" },
+      disabled: { type: "boolean" },
+      must_change_password: { type: "boolean" },
+    },
+  },
+];
+
+const paginationQuery = {
+  type: "object",
+  properties: {
+    page: { type: "integer", minimum: 1, default: 1 },
+    per_page: { type: "integer", minimum: 1, maximum: MAX_PER_PAGE, default: DEFAULT_PER_PAGE },
+  },
+};
+
+const idParams = {
+  type: "object",
+  properties: { id: { type: "integer", minimum: 1 } },
+  required: ["id"],
+};
+
+// Error responses most routes can give
+const errorResponses = {
+  400: { $ref: "Error#" },
+  401: { $ref: "Error#" },
+  403: { $ref: "Error#" },
+  404: { $ref: "Error#" },
+  500: { $ref: "Error#" },
+};
+
+function single(ref) {
+  return { type: "object", properties: { data: { $ref: ref } } };
+}
+
+function list(ref) {
+  return {
+    type: "object",
+    properties: {
+      data: { type: "array", items: { $ref: ref } },
+      pagination: { $ref: "Pagination#" },
+    },
+  };
+}
+
+/**
+ * API routes plugin
+ *
+ * Options are the helpers the API shares with the page routes in server.js:
+ * readEventForm, saveParticipation, updateEvent, the event series and archive helpers, the poll helpers, checkInWithCode,
+ * checkNewPassword and roles
+ */
+async function routes(fastify, options) {
+  const { readEventForm, saveParticipation, checkNewPassword, roles } = options;
+  const { updateEvent, createEventSeries, updateEventSeries, saveSeriesParticipation } = options;
+  const { archiveEvent, restoreEvent, purgeEvent } = options;
+  const { createPoll, castPollVote, checkInWithCode } = options;
+
+  await fastify.register(require("@fastify/swagger"), {
+    openapi: {
+      info: {
+        title: "WS2Event API",
+        description: "Events, participations and users. Send a personal API token as Authorization: Bearer, or the session cookie from /login along with a CSRF-Token header from /csrf-token for requests that change data.",
+        version: "1.0.0",
+      },
+      servers: [{ url: "/" }],
+      components: {
+        securitySchemes: {
+          bearerAuth: { type: "http", scheme: "bearer", description: "A personal API token from the account page" },
+          sessionCookie: { type: "apiKey", in: "cookie", name: "sessionId" },
+        },
+      },
+      security: [{ bearerAuth: [] }, { sessionCookie: [] }],
+    },
+  });
+  for (const schema of schemas) fastify.addSchema(schema);
+
+  // Only allow some roles, with an error envelope instead of the plain text page response
+  function authorize(allowedRoles) {
+    return async (request, reply) => {
+      if (!allowedRoles.includes(request.user.role)) {
+        return sendError(reply, 403, "forbidden", "You do not have permission to use this endpoint.");
+      }
+    };
+  }
+
+  /**
+   * Send the result of the shared saveParticipation helper
+   *
+   * Errors keep the helper's status code and per-field errors, a saved response is
+   * read back so it has the same shape as the participation lists
+   */
+  async function sendParticipationResult(reply, event, userId, result) {
+    if (result.code >= 400) {
+      // Custom field errors come keyed by field name
+      const details = result.body.errors
+        ? Object.entries(result.body.errors).map(([field, message]) => ({ field: `body/custom_field_values/${field}`, message }))
+        : undefined;
+      return sendError(reply, result.code, ERROR_CODES[result.code] || "error", result.body.message, details);
+    }
+    const participations = await db.getParticipantsByEventId(event.id);
+    const saved = participations && participations.find((participation) => participation.user_id === userId);
+    if (!saved) return sendError(reply, 500, "internal_error", DATABASE_ERROR);
+    return { data: toApiParticipation(saved) };
+  }
+
+  fastify.setErrorHandler((error, request, reply) => {
+    if (error.validation) {
+      const details = error.validation.map((issue) => ({
+        field: `${error.validationContext}${issue.instancePath}` +
+          (issue.params && issue.params.missingProperty ? `/${issue.params.missingProperty}` : ""),
+        message: issue.message,
+      }));
+      return sendError(reply, 400, "validation_failed", error.message, details);
+    }
+    // Session cookie requests without the token from GET /csrf-token in a CSRF-Token header
+    if (CSRF_ERRORS.includes(error.code)) {
+      return sendError(reply, 403, "invalid_csrf_token", "Send the token from /csrf-token in a CSRF-Token header, or use an API token.");
+    }
+    if (error.statusCode && error.statusCode < 500) {
+      return sendError(reply, error.statusCode, "bad_request", error.message);
+    }
+    console.error(error);
+    return sendError(reply, 500, "internal_error", DATABASE_ERROR);
+  });
+
+  // Catch unknown API paths here, otherwise the static files route answers them with its own 404
+  fastify.all("/*", { schema: { hide: true } }, async (request, reply) => {
+    return sendError(reply, 404, "not_found", `No API endpoint ${request.method} ${request.url}.`);
+  });
+
+  // The OpenAPI document describing everything below
+  fastify.get("/openapi.json", { schema: { hide: true } }, async () => fastify.swagger());
+
+  /**
+   * Events
+   */
+  fastify.get("/events", {
+    schema: {
+      tags: ["events"],
+      querystring: {
+        type: "object",
+        properties: {
+          ...paginationQuery.properties,
+          q: { type: "string", description: "Text in the event name" },
+          type: { type: "string" },
+          location: { type: "string", description: "Text in the location" },
+          from: { type: "string", format: "date" },
+          to: { type: "string", format: "date" },
+          when: { type: "string", enum: eventFilters.WHEN_OPTIONS },
+          sort: { type: "string", enum: eventFilters.SORT_OPTIONS },
+        },
+      },
+      response: { 200: list("Event#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const { filters, error } = eventFilters.parseEventFilters(request.query, API_LOCALE);
+    if (error) return sendError(reply, 400, "validation_failed", error);
+
+    const { page, per_page } = request.query;
+    const query = { ...filters, visible_to: audience.visibleTo(request.user) };
+    const events = await db.getAllEvents(query, { limit: per_page, offset: (page - 1) * per_page });
+    const total = await db.countEvents(query);
+    if (!events || total === undefined) return sendError(reply, 500, "internal_error", DATABASE_ERROR);
+    return { data: events.map(toApiEvent), pagination: pageInfo(request.query, total) };
+  });
+
+  fastify.get("/events/:id", {
+    schema: {
+      tags: ["events"],
+      params: idParams,
+      response: { 200: single("Event#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const event = await db.getEventById(request.params.id, audience.visibleTo(request.user));
+    if (!event) return sendError(reply, 404, "not_found", "Event not found.");
+    return { data: await withAudience(toApiEvent(event), request.user) };
+  });
+
+  fastify.post("/events", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["events"],
+      body: { $ref: "EventInput#" },
+      response: { 201: single("Event#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const { event, error } = readEventForm(toEventForm(request.body), API_LOCALE);
+    if (error) return sendError(reply, 400, "validation_failed", error);
+
+    const eventId = await db.addEvent(event, request.user);
+    if (!eventId) return sendError(reply, 500, "internal_error", "Failed to add event.");
+    const saved = await db.getEventById(eventId);
+    live.publish("event.created", { event: saved });
+    return reply.status(201).send({ data: await withAudience(toApiEvent(saved), request.user) });
+  });
+
+  fastify.put("/events/:id", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["events"],
+      params: idParams,
+      body: { $ref: "EventInput#" },
+      response: { 200: single("Event#"), 409: { $ref: "Error#" }, ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const { event, error } = readEventForm(toEventForm(request.body), API_LOCALE);
+    if (error) return sendError(reply, 400, "validation_failed", error);
+
+    // Unconfirmed custom field changes come back as a conflict with the changes in the details
+    const result = await updateEvent(request.params.id, event, request.user, API_LOCALE);
+    if (result.error) {
+      return sendError(reply, result.status, ERROR_CODES[result.status], result.error, result.fieldChanges);
+    }
+    const saved = await db.getEventById(request.params.id);
+    return { data: await withAudience(toApiEvent(saved), request.user) };
+  });
+
+  fastify.delete("/events/:id", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["events"],
+      params: idParams,
+      response: { 204: { type: "null" }, ...errorResponses },
+    },
+  }, async (request, reply) => {
+    // Deleted events go to the archive, see the archive routes below
+    const result = await archiveEvent(request.params.id, request.user, API_LOCALE);
+    if (result.error) return sendError(reply, result.status, ERROR_CODES[result.status], result.error);
+    return reply.status(204).send();
+  });
+
+  /**
+   * Archive
+   */
+  fastify.get("/events/archived", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["events"],
+      querystring: paginationQuery,
+      response: { 200: list("Event#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const events = await db.getArchivedEvents();
+    if (!events) return sendError(reply, 500, "internal_error", DATABASE_ERROR);
+    return paginate(events.map(toApiEvent), request.query);
+  });
+
+  fastify.post("/events/archived/:id/restore", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["events"],
+      params: idParams,
+      response: { 200: single("Event#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const result = await restoreEvent(request.params.id, request.user, API_LOCALE);
+    if (result.error) return sendError(reply, result.status, ERROR_CODES[result.status], result.error);
+    const saved = await db.getEventById(request.params.id);
+    return { data: await withAudience(toApiEvent(saved), request.user) };
+  });
+
+  // Purging deletes the event and its participants for good
+  fastify.delete("/events/archived/:id", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["events"],
+      params: idParams,
+      response: { 204: { type: "null" }, ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const result = await purgeEvent(request.params.id, request.user, API_LOCALE);
+    if (result.error) return sendError(reply, result.status, ERROR_CODES[result.status], result.error);
+    return reply.status(204).send();
+  });
+
+  /**
+   * Series
+   */
+  // Send a series with the occurrences the user can see
+  async function sendSeries(request, reply, seriesId, status = 200) {
+    const series = await db.getEventSeriesById(seriesId);
+    if (!series) return sendError(reply, 404, "not_found", "Series not found.");
+    const events = await db.getAllEvents({ series_id: series.id, visible_to: audience.visibleTo(request.user) });
+    if (!events) return sendError(reply, 500, "internal_error", DATABASE_ERROR);
+    return reply.status(status).send({ data: toApiSeries(series, events) });
+  }
+
+  fastify.get("/series/:id", {
+    schema: {
+      tags: ["series"],
+      params: idParams,
+      response: { 200: single("Series#"), ...errorResponses },
+    },
+  }, async (request, reply) => sendSeries(request, reply, request.params.id));
+
+  fastify.post("/series", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["series"],
+      body: { $ref: "SeriesInput#" },
+      response: { 201: single("Series#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const { event, error } = readEventForm(toEventForm(request.body), API_LOCALE);
+    if (error) return sendError(reply, 400, "validation_failed", error);
+    const { rule, error: recurrenceError } = recurrence.parseRecurrence(request.body.recurrence, API_LOCALE);
+    if (recurrenceError) return sendError(reply, 400, "validation_failed", recurrenceError);
+
+    const result = await createEventSeries(event, rule, request.user, API_LOCALE);
+    if (result.error) return sendError(reply, result.status, ERROR_CODES[result.status], result.error);
+    return sendSeries(request, reply, result.seriesId, 201);
+  });
+
+  fastify.put("/series/:id", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["series"],
+      params: idParams,
+      body: { $ref: "SeriesUpdate#" },
+      response: { 200: single("Series#"), 409: { $ref: "Error#" }, ...errorResponses },
+    },
+  }, async (request, reply) => {
+    if (!(await db.getEventSeriesById(request.params.id))) {
+      return sendError(reply, 404, "not_found", "Series not found.");
+    }
+    const { event, error } = readEventForm(toEventForm(request.body), API_LOCALE);
+    if (error) return sendError(reply, 400, "validation_failed", error);
+
+    const result = await updateEventSeries(request.params.id, event, request.user, API_LOCALE);
+    if (result.error) {
+      return sendError(reply, result.status, ERROR_CODES[result.status], result.error, result.fieldChanges);
+    }
+    return sendSeries(request, reply, request.params.id);
+  });
+
+  // Set the logged in user's response to every upcoming occurrence that is open for registration
+  fastify.put("/series/:id/participations/me", {
+    onRequest: [authorize(["user"])],
+    schema: {
+      tags: ["series", "participations"],
+      params: idParams,
+      body: { $ref: "ParticipationInput#" },
+      response: {
+        200: { type: "object", properties: { data: { type: "array", items: { $ref: "Participation#" } } } },
+        ...errorResponses,
+      },
+    },
+  }, async (request, reply) => {
+    if (!(await db.getEventSeriesById(request.params.id))) {
+      return sendError(reply, 404, "not_found", "Series not found.");
+    }
+    const userId = request.user.user_id;
+    const result = await saveSeriesParticipation(
+      { series_id: request.params.id, date: eventFilters.today() },
+      userId, request.body.status, request.body.custom_field_values || {}, request.user, API_LOCALE
+    );
+    if (result.code >= 400) return sendParticipationResult(reply, null, userId, result);
+
+    const savedEventIds = new Set(result.body.results.map((saved) => saved.event_id));
+    const participations = (await db.getParticipantEventsByUserId(userId))
+      .filter((participation) => savedEventIds.has(participation.event_id))
+      .map((participation) => toApiParticipation({ ...participation, user_id: userId }));
+    return { data: participations };
+  });
+
+  /**
+   * Participations
+   */
+  fastify.get("/events/:id/participations", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["participations"],
+      params: idParams,
+      querystring: paginationQuery,
+      response: { 200: list("Participation#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const event = await db.getEventById(request.params.id);
+    if (!event) return sendError(reply, 404, "not_found", "Event not found.");
+    const participations = await db.getParticipantsByEventId(event.id);
+    if (!participations) return sendError(reply, 500, "internal_error", DATABASE_ERROR);
+    return paginate(participations.map(toApiParticipation), request.query);
+  });
+
+  // Set the logged in user's own response, only while registration is open
+  fastify.put("/events/:id/participations/me", {
+    onRequest: [authorize(["user"])],
+    schema: {
+      tags: ["participations"],
+      params: idParams,
+      body: { $ref: "ParticipationInput#" },
+      response: { 200: single("Participation#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    // Events the user can't see answer the same as events that don't exist
+    const event = await db.getEventById(request.params.id, request.user.user_id);
+    if (!event) return sendError(reply, 404, "not_found", "Event not found.");
+
+    const rsvp = rsvpWindow.getRsvpWindow(event, API_LOCALE);
+    if (rsvp.state !== "open") return sendError(reply, 403, "registration_closed", rsvp.message);
+
+    const userId = request.user.user_id;
+    const result = await saveParticipation(
+      event, userId, request.body.status, request.body.custom_field_values || {}, request.user, API_LOCALE
+    );
+    return sendParticipationResult(reply, event, userId, result);
+  });
+
+  // Admins can set anyone's response, even after registration has closed
+  fastify.put("/events/:id/participations/:user_id", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["participations"],
+      params: {
+        type: "object",
+        properties: {
+          id: { type: "integer", minimum: 1 },
+          user_id: { type: "integer", minimum: 1 },
+        },
+        required: ["id", "user_id"],
+      },
+      body: { $ref: "ParticipationInput#" },
+      response: { 200: single("Participation#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const event = await db.getEventById(request.params.id);
+    if (!event) return sendError(reply, 404, "not_found", "Event not found.");
+    const user = await db.getUserById(request.params.user_id);
+    if (!user) return sendError(reply, 404, "not_found", "User not found.");
+
+    // Keep the saved answers unless new ones are sent, like the admin page does
+    let values = request.body.custom_field_values;
+    if (values === undefined) {
+      const existing = await db.getParticipant(event.id, user.id);
+      values = existing ? existing.custom_field_values_json : {};
+    }
+    const result = await saveParticipation(event, user.id, request.body.status, values, request.user, API_LOCALE);
+    return sendParticipationResult(reply, event, user.id, result);
+  });
+
+  fastify.get("/me/participations", {
+    schema: {
+      tags: ["participations"],
+      querystring: paginationQuery,
+      response: { 200: list("Participation#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const userId = request.user.user_id;
+    const participations = await db.getParticipantEventsByUserId(userId);
+    if (!participations) return sendError(reply, 500, "internal_error", DATABASE_ERROR);
+    return paginate(
+      participations.map((participation) => toApiParticipation({
+        ...participation,
+        user_id: userId,
+        check_in_code: participation.status === "參加"
+          ? checkIn.createCode({ id: participation.participant_id, event_id: participation.event_id, user_id: userId })
+          : undefined,
+      })),
+      request.query
+    );
+  });
+
+  /**
+   * Check-in
+   */
+  fastify.post("/check-ins", {
+    onRequest: [authorize(["admin", "staff"])],
+    schema: {
+      tags: ["check-in"],
+      body: { $ref: "CheckInInput#" },
+      response: { 200: single("Participation#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const result = await checkInWithCode(request.body.code, request.user, API_LOCALE);
+    if (result.error) return sendError(reply, result.status, ERROR_CODES[result.status], result.error);
+    const { participation, event, username } = result;
+    return {
+      data: toApiParticipation({
+        ...participation,
+        participant_id: participation.id,
+        event_name: event.name,
+        username: username,
+      }),
+    };
+  });
+
+  fastify.get("/events/:id/attendance", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["check-in"],
+      params: idParams,
+      response: { 200: single("Attendance#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const event = await db.getEventById(request.params.id);
+    if (!event) return sendError(reply, 404, "not_found", "Event not found.");
+    const attendance = await db.getAttendanceByEventId(event.id);
+    if (!attendance) return sendError(reply, 500, "internal_error", DATABASE_ERROR);
+    return {
+      data: {
+        event_id: event.id,
+        attended: attendance.filter((participant) => participant.checked_in_at),
+        no_shows: attendance.filter((participant) => !participant.checked_in_at),
+      },
+    };
+  });
+
+  /**
+   * Polls
+   */
+  fastify.get("/events/:id/polls", {
+    schema: {
+      tags: ["polls"],
+      params: idParams,
+      response: { 200: { type: "object", properties: { data: { type: "array", items: { $ref: "Poll#" } } } }, ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const event = await db.getEventById(request.params.id, audience.visibleTo(request.user));
+    if (!event) return sendError(reply, 404, "not_found", "Event not found.");
+    const eventPolls = await db.getPollsByEventId(event.id, request.user.user_id);
+    if (!eventPolls) return sendError(reply, 500, "internal_error", DATABASE_ERROR);
+    return { data: eventPolls };
+  });
+
+  fastify.post("/events/:id/polls", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["polls"],
+      params: idParams,
+      body: { $ref: "PollInput#" },
+      response: { 201: single("Poll#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const event = await db.getEventById(request.params.id);
+    if (!event) return sendError(reply, 404, "not_found", "Event not found.");
+    const result = await createPoll(event, request.body, request.user, API_LOCALE);
+    if (result.error) return sendError(reply, result.status, ERROR_CODES[result.status], result.error);
+    return reply.status(201).send({ data: await db.getPollById(result.pollId, request.user.user_id) });
+  });
+
+  // Vote as the logged in user, voting again replaces the earlier vote
+  fastify.put("/polls/:id/votes/me", {
+    onRequest: [authorize(["user"])],
+    schema: {
+      tags: ["polls"],
+      params: idParams,
+      body: { $ref: "VoteInput#" },
+      response: { 200: single("Poll#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const poll = await db.getPollById(request.params.id);
+    if (!poll || !(await db.getEventById(poll.event_id, request.user.user_id))) {
+      return sendError(reply, 404, "not_found", "Poll not found.");
+    }
+    const result = await castPollVote(poll, request.user, request.body, API_LOCALE);
+    if (result.error) return sendError(reply, result.status, ERROR_CODES[result.status], result.error);
+    return { data: result.poll };
+  });
+
+  // Remove every vote, they stay in the audit log
+  fastify.delete("/polls/:id/votes", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["polls"],
+      params: idParams,
+      response: { 200: single("Poll#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const poll = await db.getPollById(request.params.id);
+    if (!poll || !(await db.getEventById(poll.event_id))) return sendError(reply, 404, "not_found", "Poll not found.");
+    if ((await db.resetPoll(poll.id, request.user)) === undefined) {
+      return sendError(reply, 500, "internal_error", "Failed to reset poll.");
+    }
+    live.publish("poll.changed", { poll: { id: poll.id, event_id: poll.event_id } });
+    return { data: await db.getPollById(poll.id, request.user.user_id) };
+  });
+
+  fastify.delete("/polls/:id", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["polls"],
+      params: idParams,
+      response: { 204: { type: "null" }, ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const poll = await db.getPollById(request.params.id);
+    if (!poll || !(await db.getEventById(poll.event_id))) return sendError(reply, 404, "not_found", "Poll not found.");
+    if (!(await db.deletePoll(poll.id, request.user))) {
+      return sendError(reply, 500, "internal_error", "Failed to delete poll.");
+    }
+    live.publish("poll.changed", { poll: { id: poll.id, event_id: poll.event_id } });
+    return reply.status(204).send();
+  });
+
+  /**
+   * Users
+   */
+  fastify.get("/users", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["users"],
+      querystring: paginationQuery,
+      response: { 200: list("User#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const users = await db.getAllUsers();
+    if (!users) return sendError(reply, 500, "internal_error", DATABASE_ERROR);
+    return paginate(users.map(toApiUser), request.query);
+  });
+
+  fastify.get("/users/:id", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["users"],
+      params: idParams,
+      response: { 200: single("User#"), ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const user = await db.getUserById(request.params.id);
+    if (!user) return sendError(reply, 404, "not_found", "User not found.");
+    return { data: toApiUser(user) };
+  });
+
+  // Accounts created here have to change the password on first login, like on the admin page
+  fastify.post("/users", {
+    onRequest: [authorize(["admin"])],
+    schema: {
+      tags: ["users"],
+      body: {
+        type: "object",
+        properties: {
+          username: { type: "string", minLength: 1 },
+          password: { type: "string" },
+          role: { type: "string", enum: roles },
+        },
+        required: ["username", "password", "role"],
+        additionalProperties: false,
+      },
+      response: { 201: single("User#"), 409: { $ref: "Error#" }, ...errorResponses },
+    },
+  }, async (request, reply) => {
+    const username = request.body.username.trim();
+    const passwordError = checkNewPassword(API_LOCALE, request.body.password);
+    if (!username) return sendError(reply, 400, "validation_failed", "A username is required.");
+    if (passwordError) return sendError(reply, 400, "validation_failed", passwordError);
+    if (await db.getUserByUsername(username)) {
+      return sendError(reply, 409, "conflict", "That username is already taken.");
+    }
+
+    const userId = await db.addUser(username, request.body.password, request.body.role, true);
+    if (!userId) return sendError(reply, 500, "internal_error", "Failed to create user.");
+    return reply.status(201).send({ data: toApiUser(await db.getUserById(userId)) });
+  });
+}
+
+module.exports = {
+  API_PREFIX,
+  API_LOCALE,
+  errorBody,
+  isApiRequest,
+  routes,
+};
@@ -0,0 +1,59 @@
+/**
+ * Module purges archived events once they have been in the archive long enough
+ *
+ * Deleting an event moves it to the archive, where admins can restore it or purge it for good
+ * from /admin/archive (see archiveEvent in src/sqlite.js)
+ * ARCHIVE_RETENTION_DAYS in .env turns on the automatic purge: every ARCHIVE_PURGE_MINUTES
+ * (60 by default) the events archived longer ago than that many days are purged
+ * Without it archived events are kept until an admin purges them
+ */
+
+const data = require("./data.json");
+const db = require("./" + data.database);
+
+let timer = null;
+
+/**
+ * Read the retention settings from the environment
+ *
+ * retentionDays is null when the automatic purge is off
+ */
+function readSettings(env = process.env) {
+  const days = Number(env.ARCHIVE_RETENTION_DAYS);
+  const minutes = Number(env.ARCHIVE_PURGE_MINUTES);
+  return {
+    retentionDays: days > 0 ? days : null,
+    purgeMinutes: minutes > 0 ? minutes : 60,
+  };
+}
+
+// Purge the events whose retention period is over
+async function purgeExpired(retentionDays) {
+  const archivedBefore = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  const purged = await db.purgeArchivedEvents(archivedBefore);
+  if (purged) console.log(`Purged ${purged} archived events.`);
+}
+
+/**
+ * Start the automatic purge, when a retention period is set
+ */
+function start(env = process.env) {
+  const { retentionDays, purgeMinutes } = readSettings(env);
+  if (!retentionDays) return;
+  timer = setInterval(() => purgeExpired(retentionDays), purgeMinutes * 60 * 1000);
+  purgeExpired(retentionDays);
+}
+
+/**
+ * Stop the automatic purge
+ */
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  readSettings,
+  start,
+  stop,
+};
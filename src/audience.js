@@ -0,0 +1,56 @@
+/**
+ * Module reads who an event is for from the event form or an API request
+ *
+ * - public: every user
+ * - groups: members of the chosen user groups
+ * - invite: only the invited users
+ * Admins see every event, the database applies the rules for users (see visibleTo)
+ */
+
+const i18n = require("./i18n.js");
+
+const VISIBILITIES = ["public", "groups", "invite"];
+
+// Read a list of ids from a JSON array, a form field or a repeated form field
+function readIds(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return [...new Set([].concat(value).map(Number))];
+}
+
+/**
+ * Read the audience of an event
+ *
+ * Takes visibility, group_ids and invited_user_ids, public when there's no visibility
+ * Returns { audience } or { error } with a message for the admin in their locale
+ */
+function parseAudience(input = {}, locale = i18n.DEFAULT_LOCALE) {
+  const visibility = input.visibility || "public";
+  if (!VISIBILITIES.includes(visibility)) {
+    return { error: i18n.translate(locale, "errors.invalidVisibility", { options: VISIBILITIES }) };
+  }
+  const groupIds = visibility === "groups" ? readIds(input.group_ids) : [];
+  const invitedUserIds = visibility === "invite" ? readIds(input.invited_user_ids) : [];
+  if ([...groupIds, ...invitedUserIds].some((id) => !Number.isInteger(id) || id < 1)) {
+    return { error: i18n.translate(locale, "errors.audienceIds") };
+  }
+  if (visibility === "groups" && !groupIds.length) {
+    return { error: i18n.translate(locale, "errors.groupsRequired") };
+  }
+  if (visibility === "invite" && !invitedUserIds.length) {
+    return { error: i18n.translate(locale, "errors.inviteesRequired") };
+  }
+  return { audience: { visibility: visibility, group_ids: groupIds, invited_user_ids: invitedUserIds } };
+}
+
+/**
+ * The user id to limit event queries to, or null for admins who see everything
+ */
+function visibleTo(user) {
+  return user.role === "admin" ? null : user.user_id;
+}
+
+module.exports = {
+  VISIBILITIES,
+  parseAudience,
+  visibleTo,
+};
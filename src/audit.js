@@ -0,0 +1,74 @@
+/**
+ * Module prepares audit log entries for the admin history page
+ *
+ * The database stores a snapshot of the changed row before and after each change,
+ * here they are compared so the page can list just the fields that changed
+ */
+
+// Actions the audit log records, in the order the filter lists them
+const AUDIT_ACTIONS = [
+  "event.created",
+  "event.updated",
+  "event.deleted",
+  "event.archived",
+  "event.restored",
+  "event.purged",
+  "participation.changed",
+  "participation.promoted",
+  "participation.checked_in",
+  "poll.created",
+  "poll.vote",
+  "poll.reset",
+  "poll.deleted",
+];
+
+// Fields that change on every edit and only add noise to the history
+const IGNORED_FIELDS = ["id", "updated_at", "revision"];
+
+// Parse a stored snapshot, treating a missing or broken one as empty
+function parseSnapshot(json) {
+  try {
+    const snapshot = JSON.parse(json || "null");
+    return snapshot && typeof snapshot === "object" ? snapshot : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * List the fields that differ between an entry's before and after snapshots
+ *
+ * Returns an array of { field, before, after }, with null for a side that has no value
+ */
+function describeChanges(entry) {
+  const before = parseSnapshot(entry.before_json);
+  const after = parseSnapshot(entry.after_json);
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const oldValue = before[field] === undefined ? null : before[field];
+    const newValue = after[field] === undefined ? null : after[field];
+    if (oldValue !== newValue) changes.push({ field: field, before: oldValue, after: newValue });
+  }
+  return changes;
+}
+
+/**
+ * Add the list of changes to each entry, and the event name from the snapshot
+ * for events that have since been deleted
+ */
+function formatEntries(entries) {
+  return entries.map((entry) => ({
+    ...entry,
+    event_name: entry.event_name || parseSnapshot(entry.before_json).name || null,
+    changes: describeChanges(entry),
+  }));
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  describeChanges,
+  formatEntries,
+};
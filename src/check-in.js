@@ -0,0 +1,76 @@
+/**
+ * Module makes and checks the check-in codes shown to confirmed participants
+ *
+ * A code is the participation id and an HMAC of it, signed with CHECK_IN_SECRET from .env
+ * (or SESSION_SECRET when that isn't set), so codes can't be guessed or made up for someone else
+ * Without either, codes are only signed with the development secret outside production
+ * The user page shows each code as a QR code holding a /check-in link, which staff
+ * scan at the door to mark the participant as attended
+ */
+
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const sessionStore = require("./session-store.js");
+
+// Characters of the signature kept in the code, long enough that guessing one is hopeless
+const SIGNATURE_LENGTH = 22;
+const CODE_PATTERN = /^(\d+)-([A-Za-z0-9_-]+)$/;
+
+function readSecret(env = process.env) {
+  const secret = env.CHECK_IN_SECRET || env.SESSION_SECRET;
+  if (secret) return secret;
+  // Anyone who has read the development secret could make codes with it
+  if (env.NODE_ENV === "production") {
+    throw new Error("Set CHECK_IN_SECRET or SESSION_SECRET in .env to sign check-in codes in production.");
+  }
+  return sessionStore.DEV_SESSION_SECRET;
+}
+
+// The participation, event and user all go into the signature, so a code only fits one participation
+function sign(participation, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`check-in:${participation.id}:${participation.event_id}:${participation.user_id}`)
+    .digest("base64url")
+    .slice(0, SIGNATURE_LENGTH);
+}
+
+/**
+ * Make the check-in code for an event_participants row
+ */
+function createCode(participation, env = process.env) {
+  return `${participation.id}-${sign(participation, readSecret(env))}`;
+}
+
+/**
+ * Read the participation id from a code, or null when it isn't shaped like a code
+ *
+ * The code still has to be checked with verifyCode once the participation is loaded
+ */
+function readParticipationId(code) {
+  const match = CODE_PATTERN.exec(String(code || "").trim());
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Check a code was made for this participation
+ */
+function verifyCode(code, participation, env = process.env) {
+  const expected = Buffer.from(createCode(participation, env));
+  const given = Buffer.from(String(code || "").trim());
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Draw a QR code image, as a data: URL for an img tag, of the check-in link for a code
+ */
+function toQrDataUrl(checkInUrl) {
+  return QRCode.toDataURL(checkInUrl, { margin: 1, width: 200 });
+}
+
+module.exports = {
+  createCode,
+  readParticipationId,
+  verifyCode,
+  toQrDataUrl,
+};
@@ -0,0 +1,117 @@
+/**
+ * Module reads the event search, filter and sort options from a query string
+ *
+ * The admin page, the user page and the API all accept the same parameters:
+ * - q: text in the event name
+ * - type: the event type
+ * - location: text in the location
+ * - from / to: YYYY-MM-DD dates, inclusive
+ * - when: "upcoming" (today onwards) or "past", anything else shows every event
+ * - sort: one of SORT_OPTIONS, "-" in front sorts the other way
+ * - page: which page of results, starting from 1
+ */
+
+const i18n = require("./i18n.js");
+
+const WHEN_OPTIONS = ["upcoming", "past"];
+const SORT_OPTIONS = ["date", "-date", "name", "-name", "type", "-type", "location", "-location"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Events shown per page on the admin and user pages
+const EVENTS_PER_PAGE = 50;
+
+// Query parameters kept in the page links
+const FILTER_KEYS = ["q", "type", "location", "from", "to", "when", "sort"];
+
+/**
+ * Get today's date as YYYY-MM-DD in the server's timezone, like the dates admins enter
+ */
+function today(now = new Date()) {
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Read the filters from a request query
+ *
+ * Returns { filters } for db.getAllEvents, or { error } with a message for the user in their locale
+ * Empty parameters are ignored, so a submitted form with blank inputs shows everything
+ * A parameter given more than once, like ?q=a&q=b, is an error
+ */
+function parseEventFilters(query = {}, locale = i18n.DEFAULT_LOCALE) {
+  const filters = {};
+  for (const key of FILTER_KEYS) {
+    if (Array.isArray(query[key])) return { error: i18n.translate(locale, "errors.repeatedParameter", { name: key }) };
+    const value = typeof query[key] === "string" ? query[key].trim() : query[key];
+    if (value !== undefined && value !== null && value !== "") filters[key] = value;
+  }
+
+  for (const key of ["from", "to"]) {
+    if (filters[key] && (!DATE_PATTERN.test(filters[key]) || isNaN(new Date(filters[key])))) {
+      return { error: i18n.translate(locale, "errors.dateFormat") };
+    }
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: i18n.translate(locale, "errors.datesReversed") };
+  }
+  if (filters.when && !WHEN_OPTIONS.includes(filters.when)) delete filters.when;
+  if (filters.sort && !SORT_OPTIONS.includes(filters.sort)) {
+    return { error: i18n.translate(locale, "errors.invalidSort", { options: SORT_OPTIONS }) };
+  }
+  if (filters.when) filters.today = today();
+
+  return { filters };
+}
+
+/**
+ * Read the page number from a request query, starting from 1
+ */
+function parsePage(query = {}) {
+  const page = Number(query.page);
+  return Number.isInteger(page) && page > 0 ? page : 1;
+}
+
+/**
+ * Build a query string for the current filters with some values changed,
+ * for the tab, sort and page links
+ */
+function buildQueryString(filters, changes = {}) {
+  const params = new URLSearchParams();
+  const values = { ...filters, ...changes };
+  for (const key of [...FILTER_KEYS, "page"]) {
+    if (values[key] !== undefined && values[key] !== null && values[key] !== "") params.set(key, values[key]);
+  }
+  const queryString = params.toString();
+  return queryString ? `?${queryString}` : "";
+}
+
+/**
+ * Everything the pages need to show the filter form, the tabs and the page links
+ */
+function buildListParams(path, filters, page, total) {
+  const totalPages = Math.max(1, Math.ceil(total / EVENTS_PER_PAGE));
+  return {
+    filters: filters,
+    tabs: [
+      { when: "all", url: path + buildQueryString(filters, { when: null }), active: !filters.when },
+      { when: "upcoming", url: path + buildQueryString(filters, { when: "upcoming" }), active: filters.when === "upcoming" },
+      { when: "past", url: path + buildQueryString(filters, { when: "past" }), active: filters.when === "past" },
+    ],
+    pagination: {
+      page: page,
+      totalPages: totalPages,
+      total: total,
+      prevUrl: page > 1 ? path + buildQueryString(filters, { page: page - 1 }) : null,
+      nextUrl: page < totalPages ? path + buildQueryString(filters, { page: page + 1 }) : null,
+    },
+  };
+}
+
+module.exports = {
+  WHEN_OPTIONS,
+  SORT_OPTIONS,
+  EVENTS_PER_PAGE,
+  today,
+  parseEventFilters,
+  parsePage,
+  buildListParams,
+};
@@ -0,0 +1,150 @@
+/**
+ * Module turns participation data into CSV and XLSX files for the admin exports
+ *
+ * Each custom field in an event's schema becomes its own column,
+ * so the answers in custom_field_values_json can be sorted and filtered in a spreadsheet
+ * Answers archived when their field was removed or changed get columns after the fields
+ * The fixed headers are in the language of the admin downloading the file
+ */
+
+const ExcelJS = require("exceljs");
+const i18n = require("./i18n.js");
+const validator = require("./validator.js");
+const schemaChanges = require("./schema-changes.js");
+
+// Columns every export starts with, before the custom fields, with the locale key of their header
+const BASE_COLUMNS = [
+  { key: "event_name", header: "export.eventName" },
+  { key: "event_date", header: "export.date" },
+  { key: "event_location", header: "export.location" },
+  { key: "participant_username", header: "export.username" },
+  { key: "status", header: "export.status" },
+];
+
+// Excel treats cells starting with these characters as formulas
+const FORMULA_PREFIXES = ["=", "+", "-", "@"];
+
+// Parse stored custom field values, treating broken JSON as no answers
+function parseValues(valuesJson) {
+  try {
+    const values = JSON.parse(valuesJson || "{}");
+    return values && typeof values === "object" ? values : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Build a table of participants for one or more events
+ *
+ * The custom field columns are the fields of every event's schema, in order,
+ * with fields that share a name across events sharing a column
+ * Each archived field has a column with the participant's last archived answer to it
+ * Returns { columns, rows } where each row is an object keyed by column key
+ */
+function buildTable(events, participants, locale = i18n.DEFAULT_LOCALE) {
+  const columns = BASE_COLUMNS.map((column) => ({ key: column.key, header: i18n.translate(locale, column.header) }));
+  const fieldKeys = new Map();
+
+  for (const event of events) {
+    for (const field of validator.parseSchema(event.custom_fields_schema_json).fields) {
+      if (fieldKeys.has(field.name)) continue;
+      const key = `field:${field.name}`;
+      fieldKeys.set(field.name, key);
+      columns.push({ key: key, header: field.name });
+    }
+  }
+
+  const eventIds = new Set(events.map((event) => event.id));
+  const selected = participants.filter((participant) => eventIds.has(participant.event_id));
+
+  const archivedKeys = new Map();
+  for (const participant of selected) {
+    for (const answer of schemaChanges.readArchived(participant.archived_values_json)) {
+      if (archivedKeys.has(answer.field)) continue;
+      const key = `archived:${answer.field}`;
+      archivedKeys.set(answer.field, key);
+      columns.push({ key: key, header: i18n.translate(locale, "export.archived", { field: answer.field }) });
+    }
+  }
+
+  const rows = selected.map((participant) => {
+    const row = {};
+    for (const column of BASE_COLUMNS) row[column.key] = participant[column.key];
+    const values = parseValues(participant.custom_field_values_json);
+    for (const [name, key] of fieldKeys) {
+      row[key] = values[name] === undefined ? null : values[name];
+    }
+    for (const key of archivedKeys.values()) row[key] = null;
+    // Later archived answers replace earlier ones to the same field
+    for (const answer of schemaChanges.readArchived(participant.archived_values_json)) {
+      row[archivedKeys.get(answer.field)] = answer.value;
+    }
+    return row;
+  });
+
+  return { columns, rows };
+}
+
+// Quote a CSV cell and stop spreadsheet apps running it as a formula
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_PREFIXES.includes(text.charAt(0))) text = "'" + text;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write a table as CSV
+ *
+ * Starts with a UTF-8 byte order mark so Excel shows the Chinese text correctly
+ */
+function toCsv(table) {
+  const lines = [table.columns.map((column) => csvCell(column.header)).join(",")];
+  for (const row of table.rows) {
+    lines.push(table.columns.map((column) => csvCell(row[column.key])).join(","));
+  }
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+// Make a worksheet name Excel accepts - at most 31 characters, no []:*?/\ and unique in the workbook
+function sheetName(name, usedNames) {
+  const base = (name || "Sheet").replace(/[\[\]:*?\/\\]/g, " ").slice(0, 31).trim() || "Sheet";
+  let candidate = base;
+  for (let i = 2; usedNames.has(candidate.toLowerCase()); i++) {
+    const suffix = ` (${i})`;
+    candidate = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Write one or more tables as an XLSX workbook, one worksheet per table
+ *
+ * Sheets is an array of { name, table }
+ * Returns a promise for the file contents as a Buffer
+ */
+async function toXlsx(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  const usedNames = new Set();
+
+  for (const sheet of sheets) {
+    const worksheet = workbook.addWorksheet(sheetName(sheet.name, usedNames));
+    worksheet.columns = sheet.table.columns.map((column) => ({
+      header: column.header,
+      key: column.key,
+      width: Math.max(12, column.header.length * 2),
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    for (const row of sheet.table.rows) worksheet.addRow(row);
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  buildTable,
+  toCsv,
+  toXlsx,
+};
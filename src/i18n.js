@@ -0,0 +1,106 @@
+/**
+ * Module translates the page text and formats dates for the reader's language
+ *
+ * The text lives in src/locales, one JSON file per locale with the same nested keys,
+ * e.g. "admin.title" is { "admin": { "title": ... } }
+ * Users pick a language on /account, otherwise it comes from the browser's Accept-Language header
+ * Add a language by adding its file and its code to LOCALES
+ */
+
+const LOCALES = ["zh-TW", "en"];
+const DEFAULT_LOCALE = "zh-TW";
+
+const messages = {};
+for (const locale of LOCALES) messages[locale] = require(`./locales/${locale}.json`);
+
+// Follow a key's parts down the nested messages, undefined when it's missing
+function lookup(locale, parts) {
+  let value = messages[locale];
+  for (const part of parts) {
+    if (!value || typeof value !== "object") return undefined;
+    value = value[part];
+  }
+  return typeof value === "string" ? value : undefined;
+}
+
+/**
+ * Translate a key, filling in {name} placeholders from params, lists are joined with commas
+ *
+ * Key is a dotted string or an array of parts, so values with dots like audit actions
+ * can be looked up as one part
+ * Falls back to the default locale, then to the key itself so a missing text is easy to spot
+ */
+function translate(locale, key, params = {}) {
+  const parts = Array.isArray(key) ? key.flatMap((part, index) => (index ? [String(part)] : part.split("."))) : key.split(".");
+  const text = lookup(locale, parts) ?? lookup(DEFAULT_LOCALE, parts) ?? parts.join(".");
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+    return Array.isArray(params[name]) ? params[name].join(", ") : String(params[name]);
+  });
+}
+
+/**
+ * Check whether a locale is one the app has text for
+ */
+function isLocale(locale) {
+  return LOCALES.includes(locale);
+}
+
+/**
+ * Pick the locale for a request: the user's own choice, then the first language
+ * in Accept-Language the app has, matching on the language alone when needed (zh-HK finds zh-TW)
+ */
+function pickLocale(preferred, acceptLanguage) {
+  if (isLocale(preferred)) return preferred;
+
+  const wanted = String(acceptLanguage || "")
+    .split(",")
+    .map((item) => {
+      const [tag, ...settings] = item.trim().split(";");
+      const quality = settings.find((setting) => setting.trim().startsWith("q="));
+      return { tag: tag.trim().toLowerCase(), quality: quality ? Number(quality.trim().slice(2)) : 1 };
+    })
+    .filter((item) => item.tag && item.quality > 0)
+    .sort((a, b) => b.quality - a.quality);
+
+  for (const { tag } of wanted) {
+    const exact = LOCALES.find((locale) => locale.toLowerCase() === tag);
+    if (exact) return exact;
+    const sameLanguage = LOCALES.find((locale) => locale.split("-")[0].toLowerCase() === tag.split("-")[0]);
+    if (sameLanguage) return sameLanguage;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Format an event date (YYYY-MM-DD) for a locale, e.g. 2030年1月7日 週一 or Mon, Jan 7, 2030
+ *
+ * Event dates have no time zone, so they are formatted as UTC to keep the same day
+ */
+function formatDate(value, locale) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!match) return value || "";
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return new Intl.DateTimeFormat(locale, {
+    year: "numeric", month: "short", day: "numeric", weekday: "short", timeZone: "UTC",
+  }).format(date);
+}
+
+/**
+ * Format a stored timestamp, like an ISO string from toISOString, in the server's time zone
+ */
+function formatDateTime(value, locale) {
+  const date = new Date(value);
+  if (!value || isNaN(date)) return value || "";
+  return new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeStyle: "short" }).format(date);
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  translate,
+  isLocale,
+  pickLocale,
+  formatDate,
+  formatDateTime,
+};
@@ -0,0 +1,96 @@
+/**
+ * Module builds iCalendar (.ics) files from events
+ *
+ * Events only have a date, so they become all-day calendar entries
+ * Each event keeps the same UID and gets a higher SEQUENCE whenever an admin edits it,
+ * so calendar apps update the entry instead of adding a new one
+ */
+
+// Escape text values as required by RFC 5545
+function escapeText(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Fold lines longer than 75 octets, continuing them on lines starting with a space
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// Format a YYYY-MM-DD date as an iCalendar DATE value
+function formatDate(date) {
+  return date.replace(/-/g, "");
+}
+
+// Get the day after a YYYY-MM-DD date, the exclusive end of an all-day event
+function nextDay(date) {
+  const day = new Date(date + "T00:00:00Z");
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().slice(0, 10);
+}
+
+// Format a timestamp as an iCalendar UTC DATE-TIME value
+function formatTimestamp(value) {
+  const date = value ? new Date(value) : new Date();
+  return (isNaN(date) ? new Date() : date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Build a calendar containing the given events
+ *
+ * Options:
+ * - name: the calendar name shown in calendar apps
+ * - uidDomain: the domain used to make the event UIDs globally unique
+ * Returns the .ics file contents
+ */
+function buildCalendar(events, options = {}) {
+  const uidDomain = options.uidDomain || "localhost";
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//WS2Event//Events//ZH-TW",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (options.name) lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+
+  for (const event of events) {
+    // Skip events without a usable date rather than breaking the whole feed
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(event.date) || isNaN(new Date(event.date))) continue;
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:event-${event.id}@${uidDomain}`,
+      `DTSTAMP:${formatTimestamp(event.updated_at)}`,
+      `LAST-MODIFIED:${formatTimestamp(event.updated_at)}`,
+      `SEQUENCE:${event.revision || 0}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+      `DTEND;VALUE=DATE:${formatDate(nextDay(event.date))}`,
+      `SUMMARY:${escapeText(event.name)}`,
+      `LOCATION:${escapeText(event.location)}`,
+      `CATEGORIES:${escapeText(event.type)}`,
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  buildCalendar,
+};
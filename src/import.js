@@ -0,0 +1,202 @@
+/**
+ * Module reads the CSV and JSON files admins import events and users from
+ *
+ * A CSV file has a header row naming the columns, a JSON file is an array of objects with the same names
+ * Events: name, date (YYYY-MM-DD), location and type are required, and max_attendees,
+ * registration_opens_at, registration_closes_at, visibility, groups, invited_users and custom_fields are optional
+ * - groups and invited_users list group names or usernames, separated by | in a CSV cell
+ * - custom_fields is the custom field schema as JSON, the same as custom_fields on /api/v1/events
+ * Users: username and role are required, password and email are optional
+ * - users without a password get an invite link to choose their own
+ *
+ * The rows are checked and reported on before anything is saved, see checkImport in server.js
+ * Problems are reported in the locale passed in
+ */
+
+const i18n = require("./i18n.js");
+
+const IMPORT_KINDS = ["events", "users"];
+const IMPORT_FORMATS = ["csv", "json"];
+// Separates the names in a CSV list cell, like groups
+const LIST_SEPARATOR = "|";
+
+/**
+ * Split CSV text into rows of cells
+ *
+ * Handles quoted cells with commas, quotes ("") and line breaks in them, CRLF line ends
+ * and the byte order mark Excel adds, and skips blank lines
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error("A quoted cell is never closed.");
+  row.push(cell);
+  rows.push(row);
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Read the records in an import file
+ *
+ * Format is csv or json, or empty to tell from the content
+ * Returns { records } where each record has its row number and its values by column name,
+ * or { error } when the file can't be read
+ * CSV rows are numbered as in a spreadsheet, with the header as row 1
+ */
+function readFile(content, format, locale = i18n.DEFAULT_LOCALE) {
+  const text = String(content || "").trim();
+  if (!text) return { error: i18n.translate(locale, "errors.importEmpty") };
+  if (format && !IMPORT_FORMATS.includes(format)) {
+    return { error: i18n.translate(locale, "errors.importFormat", { options: IMPORT_FORMATS }) };
+  }
+
+  if ((format || (/^[[{]/.test(text) ? "json" : "csv")) === "json") {
+    let items;
+    try {
+      items = JSON.parse(text);
+    } catch (error) {
+      return { error: i18n.translate(locale, "errors.importJsonUnreadable", { reason: error.message }) };
+    }
+    if (!Array.isArray(items) || items.some((item) => !item || typeof item !== "object" || Array.isArray(item))) {
+      return { error: i18n.translate(locale, "errors.importJsonNotArray") };
+    }
+    return { records: items.map((values, index) => ({ row: index + 1, values: values })) };
+  }
+
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (error) {
+    // parseCsv only fails on a quote that is never closed
+    return { error: i18n.translate(locale, "errors.importCsvUnclosed") };
+  }
+  const header = rows[0].map((name) => name.trim());
+  return {
+    records: rows.slice(1).map((cells, index) => {
+      const values = {};
+      header.forEach((name, column) => {
+        if (name) values[name] = (cells[column] || "").trim();
+      });
+      return { row: index + 2, values: values };
+    }),
+  };
+}
+
+// Read a text value, treating missing values as empty
+function readText(value) {
+  return value === undefined || value === null ? "" : String(value).trim();
+}
+
+// Read a list of names from a JSON array or a CSV cell
+function readList(value) {
+  if (Array.isArray(value)) return value.map(readText).filter(Boolean);
+  return readText(value).split(LIST_SEPARATOR).map((name) => name.trim()).filter(Boolean);
+}
+
+/**
+ * Turn an event record into the fields of the admin event form
+ *
+ * Groups and invited users are looked up by name in groupIds and userIds (Maps of name -> id)
+ * Returns { body, errors } - body goes on to readEventForm, errors are the problems found here
+ */
+function readEventRecord(values, groupIds, userIds, locale = i18n.DEFAULT_LOCALE) {
+  const errors = [];
+  const body = {
+    name: readText(values.name),
+    date: readText(values.date),
+    location: readText(values.location),
+    type: readText(values.type),
+    max_attendees: readText(values.max_attendees),
+    registration_opens_at: readText(values.registration_opens_at),
+    registration_closes_at: readText(values.registration_closes_at),
+    visibility: readText(values.visibility),
+    custom_fields_schema_json: Array.isArray(values.custom_fields)
+      ? JSON.stringify(values.custom_fields)
+      : readText(values.custom_fields) || "[]",
+  };
+
+  for (const column of ["name", "date", "location", "type"]) {
+    if (!body[column]) errors.push(i18n.translate(locale, "errors.importColumnRequired", { column: column }));
+  }
+  if (body.date && !/^\d{4}-\d{2}-\d{2}$/.test(body.date)) {
+    errors.push(i18n.translate(locale, "errors.importDateFormat"));
+  }
+
+  const groups = readList(values.groups);
+  const missingGroups = groups.filter((name) => !groupIds.has(name));
+  if (missingGroups.length) errors.push(i18n.translate(locale, "errors.importUnknownGroups", { names: missingGroups }));
+  body.group_ids = groups.filter((name) => groupIds.has(name)).map((name) => groupIds.get(name));
+
+  const invited = readList(values.invited_users);
+  const missingUsers = invited.filter((name) => !userIds.has(name));
+  if (missingUsers.length) errors.push(i18n.translate(locale, "errors.importUnknownUsers", { names: missingUsers }));
+  body.invited_user_ids = invited.filter((name) => userIds.has(name)).map((name) => userIds.get(name));
+
+  return { body, errors };
+}
+
+/**
+ * Read a user record
+ *
+ * Returns { user, errors } with username, role, password and email, empty password
+ * and email are null
+ */
+function readUserRecord(values, locale = i18n.DEFAULT_LOCALE) {
+  return {
+    user: {
+      username: readText(values.username),
+      role: readText(values.role),
+      password: readText(values.password) || null,
+      email: readText(values.email) || null,
+    },
+    errors: readText(values.username) ? [] : [i18n.translate(locale, "errors.importColumnRequired", { column: "username" })],
+  };
+}
+
+/**
+ * Count the rows of a checked import by status
+ */
+function summarize(rows) {
+  const summary = { total: rows.length, new: 0, duplicate: 0, invalid: 0 };
+  for (const row of rows) summary[row.status] += 1;
+  return summary;
+}
+
+module.exports = {
+  IMPORT_KINDS,
+  IMPORT_FORMATS,
+  readFile,
+  readEventRecord,
+  readUserRecord,
+  summarize,
+};
@@ -0,0 +1,74 @@
+/**
+ * Module sends live updates to the pages over WebSocket
+ *
+ * The server routes publish a message whenever an event or a participation changes,
+ * and every open connection that is allowed to see it gets a copy
+ * Admins receive everything, users and staff receive event and poll changes and their own participation changes
+ * Users and staff only get the id of events that aren't public, the page they reload shows what they may see
+ * A connection keeps the user it was opened by, so changing an account closes its connections -
+ * the pages reconnect, and the new connection is checked against the account as it is now
+ */
+
+// Open connections, each with the user that opened it
+const clients = new Set();
+
+/**
+ * Start sending updates to a new connection
+ */
+function addClient(socket, user) {
+  const client = { socket, user };
+  clients.add(client);
+  socket.on("close", () => clients.delete(client));
+  socket.on("error", () => clients.delete(client));
+}
+
+/**
+ * Close the connections of a user whose role changed or whose account was disabled
+ */
+function disconnectUser(userId) {
+  for (const client of clients) {
+    if (client.user.user_id === userId) {
+      clients.delete(client);
+      client.socket.close();
+    }
+  }
+}
+
+// Check whether a user is allowed to receive a message
+function canReceive(user, message) {
+  if (user.role === "admin") return true;
+  if (message.type.startsWith("event.") || message.type === "poll.changed") return true;
+  if (message.type === "participation.changed") {
+    return message.participation.user_id === user.user_id;
+  }
+  return false;
+}
+
+// Leave out the details of an event that isn't for every user
+function forUser(message) {
+  if (!message.event || message.event.visibility === "public") return message;
+  return { type: message.type, event_id: message.event.id };
+}
+
+/**
+ * Send a message to every connection allowed to see it
+ *
+ * Type is one of event.created, event.updated, event.deleted, participation.changed or poll.changed
+ */
+function publish(type, payload) {
+  const message = { type, ...payload };
+  const text = JSON.stringify(message);
+  const userText = JSON.stringify(forUser(message));
+  for (const client of clients) {
+    // 1 is the WebSocket OPEN state
+    if (client.socket.readyState === 1 && canReceive(client.user, message)) {
+      client.socket.send(client.user.role === "admin" ? text : userText);
+    }
+  }
+}
+
+module.exports = {
+  addClient,
+  disconnectUser,
+  publish,
+};
@@ -0,0 +1,91 @@
+/**
+ * Module slows down password guessing on the login form
+ *
+ * Failed logins are counted for each username and each IP address, and once either reaches its
+ * limit, logins for it are refused until the lockout is over, even with the right password
+ * Addresses are only counted when the caller passes one - behind a proxy that isn't trusted,
+ * every visitor would share the proxy's address and lock each other out
+ * The settings come from .env:
+ * - LOGIN_MAX_FAILURES: failed logins for one username before it's locked, 5 by default
+ * - LOGIN_MAX_FAILURES_PER_IP: failed logins from one IP address before it's locked, 20 by default
+ * - LOGIN_LOCKOUT_MINUTES: how long a lockout lasts and how long failures are remembered, 15 by default
+ * The counts are kept in memory, so a restart clears them
+ */
+
+// Failures by key, "user:<username>" or "ip:<address>" -> { failures, firstFailedAt, lockedUntil }
+const failures = new Map();
+
+// Read a positive number from the environment, or the fallback when it's missing or not usable
+function readNumber(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== "" && number > 0 ? number : fallback;
+}
+
+/**
+ * Read the throttling settings from the environment
+ */
+function readSettings(env = process.env) {
+  return {
+    maxFailures: readNumber(env.LOGIN_MAX_FAILURES, 5),
+    maxFailuresPerIp: readNumber(env.LOGIN_MAX_FAILURES_PER_IP, 20),
+    lockoutMs: readNumber(env.LOGIN_LOCKOUT_MINUTES, 15) * 60 * 1000,
+  };
+}
+
+// Usernames are counted whether or not the account exists, so a lockout doesn't give that away
+function keysFor(username, ip) {
+  const keys = [`user:${String(username || "").toLowerCase()}`];
+  if (ip) keys.push(`ip:${ip}`);
+  return keys;
+}
+
+// Forget failures that are too old to count and lockouts that are over
+function forgetExpired(now, lockoutMs) {
+  for (const [key, entry] of failures) {
+    if (entry.lockedUntil ? entry.lockedUntil <= now : entry.firstFailedAt + lockoutMs <= now) {
+      failures.delete(key);
+    }
+  }
+}
+
+/**
+ * How many milliseconds until a login for this username from this address is allowed, 0 when it is now
+ *
+ * Ip is null when addresses aren't counted
+ */
+function lockedFor(username, ip, now = Date.now()) {
+  forgetExpired(now, readSettings().lockoutMs);
+  return Math.max(0, ...keysFor(username, ip).map((key) => {
+    const entry = failures.get(key);
+    return entry && entry.lockedUntil ? entry.lockedUntil - now : 0;
+  }));
+}
+
+/**
+ * Count a failed login, locking the username or address when it reaches its limit
+ */
+function recordFailure(username, ip, now = Date.now()) {
+  const settings = readSettings();
+  forgetExpired(now, settings.lockoutMs);
+  keysFor(username, ip).forEach((key, index) => {
+    const limit = index === 0 ? settings.maxFailures : settings.maxFailuresPerIp;
+    const entry = failures.get(key) || { failures: 0, firstFailedAt: now, lockedUntil: null };
+    entry.failures += 1;
+    if (entry.failures >= limit) entry.lockedUntil = now + settings.lockoutMs;
+    failures.set(key, entry);
+  });
+}
+
+/**
+ * Clear a username's failures after a successful login, the address keeps its count
+ */
+function recordSuccess(username) {
+  failures.delete(keysFor(username, null)[0]);
+}
+
+module.exports = {
+  readSettings,
+  lockedFor,
+  recordFailure,
+  recordSuccess,
+};
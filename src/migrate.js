@@ -0,0 +1,52 @@
+/**
+ * Command line tool for the database migrations and seed
+ *
+ * Usage:
+ *   node src/migrate.js status   List the migrations and whether they have been applied
+ *   node src/migrate.js up       Apply the pending migrations
+ *   node src/migrate.js seed     Add the default users if they don't exist
+ *
+ * The package.json scripts run these as npm run migrate:status, npm run migrate and npm run seed
+ */
+
+const migrator = require("./migrator.js");
+const seed = require("./seed.js");
+
+async function main(command) {
+  const db = await migrator.openDatabase();
+  try {
+    switch (command) {
+      case "status": {
+        const migrations = await migrator.getStatus(db);
+        for (const migration of migrations) {
+          console.log(`${migration.applied_at ? "applied " + migration.applied_at : "pending"}\t${migration.name}`);
+        }
+        const pending = migrations.filter(migration => !migration.applied_at).length;
+        console.log(`${migrations.length - pending} applied, ${pending} pending`);
+        break;
+      }
+      case "up": {
+        const applied = await migrator.migrateUp(db);
+        console.log(applied.length ? `Applied ${applied.length} migration(s)` : "Database is up to date");
+        break;
+      }
+      case "seed": {
+        // Seeding needs the tables, so bring the schema up to date first
+        await migrator.migrateUp(db);
+        const added = await seed.seedDefaultUsers(db);
+        console.log(added.length ? `Added users: ${added.join(", ")}` : "Default users already exist");
+        break;
+      }
+      default:
+        console.error("Usage: node src/migrate.js <status|up|seed>");
+        process.exitCode = 1;
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main(process.argv[2]).catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,46 @@
+/**
+ * The tables the app started with
+ *
+ * Uses IF NOT EXISTS because databases created before migrations already have them
+ */
+module.exports.up = async (db) => {
+  // The poll tables from the original Hello SQLite project
+  const choicesTableExists = await db.get("SELECT name FROM sqlite_master WHERE type='table' AND name='Choices'");
+  if (!choicesTableExists) {
+    await db.run("CREATE TABLE Choices (id INTEGER PRIMARY KEY AUTOINCREMENT, language TEXT, picks INTEGER)");
+    await db.run("INSERT INTO Choices (language, picks) VALUES ('HTML', 0), ('JavaScript', 0), ('CSS', 0)");
+  }
+  await db.run("CREATE TABLE IF NOT EXISTS Log (id INTEGER PRIMARY KEY AUTOINCREMENT, choice TEXT, time STRING)");
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      date TEXT NOT NULL,
+      location TEXT NOT NULL,
+      type TEXT NOT NULL,
+      custom_fields_schema_json TEXT
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS event_participants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      custom_field_values_json TEXT,
+      FOREIGN KEY (event_id) REFERENCES events(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+};
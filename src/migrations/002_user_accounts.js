@@ -0,0 +1,12 @@
+/**
+ * Disabled accounts, forced password changes and admin settings such as self-registration
+ */
+const { addColumnIfMissing } = require("../migrator.js");
+
+module.exports.up = async (db) => {
+  await addColumnIfMissing(db, "users", "disabled", "INTEGER NOT NULL DEFAULT 0");
+  await addColumnIfMissing(db, "users", "must_change_password", "INTEGER NOT NULL DEFAULT 0");
+
+  // Settings admins can change from the app, stored as key/value pairs
+  await db.run("CREATE TABLE IF NOT EXISTS settings (key TEXT PRIMARY KEY, value TEXT)");
+};
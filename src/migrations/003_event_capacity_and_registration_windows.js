@@ -0,0 +1,11 @@
+/**
+ * Attendee limits with a waitlist, and registration opening and closing times
+ */
+const { addColumnIfMissing } = require("../migrator.js");
+
+module.exports.up = async (db) => {
+  await addColumnIfMissing(db, "events", "max_attendees", "INTEGER");
+  await addColumnIfMissing(db, "event_participants", "waitlisted_at", "TEXT");
+  await addColumnIfMissing(db, "events", "registration_opens_at", "TEXT");
+  await addColumnIfMissing(db, "events", "registration_closes_at", "TEXT");
+};
@@ -0,0 +1,11 @@
+/**
+ * Calendar feed tokens, and event revisions so calendar apps pick up edits
+ */
+const { addColumnIfMissing } = require("../migrator.js");
+
+module.exports.up = async (db) => {
+  await addColumnIfMissing(db, "users", "calendar_token", "TEXT");
+  await db.run("CREATE UNIQUE INDEX IF NOT EXISTS users_calendar_token ON users (calendar_token)");
+  await addColumnIfMissing(db, "events", "updated_at", "TEXT");
+  await addColumnIfMissing(db, "events", "revision", "INTEGER NOT NULL DEFAULT 0");
+};
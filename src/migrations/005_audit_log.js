@@ -0,0 +1,29 @@
+/**
+ * Audit log of event and participation changes, replacing the poll Log table
+ *
+ * Existing poll votes are copied over as poll.vote entries before Log is dropped
+ */
+module.exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      occurred_at TEXT NOT NULL,
+      actor_user_id INTEGER,
+      action TEXT NOT NULL,
+      event_id INTEGER,
+      subject_user_id INTEGER,
+      before_json TEXT,
+      after_json TEXT
+    )
+  `);
+  await db.run("CREATE INDEX audit_log_event ON audit_log (event_id, occurred_at)");
+  await db.run("CREATE INDEX audit_log_actor ON audit_log (actor_user_id, occurred_at)");
+  await db.run("CREATE INDEX audit_log_subject ON audit_log (subject_user_id, occurred_at)");
+  await db.run("CREATE INDEX audit_log_occurred_at ON audit_log (occurred_at)");
+
+  await db.run(`
+    INSERT INTO audit_log (occurred_at, action, after_json)
+    SELECT time, 'poll.vote', json_object('choice', choice) FROM Log ORDER BY id
+  `);
+  await db.run("DROP TABLE Log");
+};
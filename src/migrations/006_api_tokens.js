@@ -0,0 +1,19 @@
+/**
+ * Personal API tokens, stored as SHA-256 hashes
+ */
+module.exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      scope TEXT NOT NULL,
+      expires_at TEXT,
+      created_at TEXT NOT NULL,
+      last_used_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+  await db.run("CREATE INDEX api_tokens_user ON api_tokens (user_id)");
+};
@@ -0,0 +1,9 @@
+/**
+ * Indexes for the event filters, and for the participant counts shown with every event
+ */
+module.exports.up = async (db) => {
+  await db.run("CREATE INDEX IF NOT EXISTS events_date ON events (date)");
+  await db.run("CREATE INDEX IF NOT EXISTS events_type_date ON events (type, date)");
+  await db.run("CREATE INDEX IF NOT EXISTS event_participants_event_status ON event_participants (event_id, status)");
+  await db.run("CREATE INDEX IF NOT EXISTS event_participants_user ON event_participants (user_id)");
+};
@@ -0,0 +1,21 @@
+/**
+ * Recurring event series
+ *
+ * Each occurrence is a normal event row linked to its series, series_exception marks
+ * occurrences that were edited on their own so edits to the whole series leave them alone
+ */
+module.exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE event_series (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      frequency TEXT NOT NULL,
+      interval INTEGER NOT NULL DEFAULT 1,
+      until TEXT,
+      count INTEGER,
+      created_at TEXT NOT NULL
+    )
+  `);
+  await db.run("ALTER TABLE events ADD COLUMN series_id INTEGER REFERENCES event_series(id)");
+  await db.run("ALTER TABLE events ADD COLUMN series_exception INTEGER NOT NULL DEFAULT 0");
+  await db.run("CREATE INDEX events_series_date ON events (series_id, date)");
+};
@@ -0,0 +1,40 @@
+/**
+ * Polls attached to events, replacing the single Choices poll
+ *
+ * A vote is one row per chosen option, so a multiple choice ballot has several rows
+ * The Choices counts aren't tied to an event or a voter, so they are dropped,
+ * the old votes stay in the audit log
+ */
+module.exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE polls (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id INTEGER NOT NULL REFERENCES events(id),
+      question TEXT NOT NULL,
+      multiple_choice INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL
+    )
+  `);
+  await db.run("CREATE INDEX polls_event ON polls (event_id)");
+  await db.run(`
+    CREATE TABLE poll_options (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      poll_id INTEGER NOT NULL REFERENCES polls(id),
+      label TEXT NOT NULL,
+      position INTEGER NOT NULL
+    )
+  `);
+  await db.run("CREATE INDEX poll_options_poll ON poll_options (poll_id, position)");
+  await db.run(`
+    CREATE TABLE poll_votes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      poll_id INTEGER NOT NULL REFERENCES polls(id),
+      option_id INTEGER NOT NULL REFERENCES poll_options(id),
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      voted_at TEXT NOT NULL,
+      UNIQUE (poll_id, user_id, option_id)
+    )
+  `);
+  await db.run("CREATE INDEX poll_votes_option ON poll_votes (option_id)");
+  await db.run("DROP TABLE IF EXISTS Choices");
+};
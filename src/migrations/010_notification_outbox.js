@@ -0,0 +1,34 @@
+/**
+ * Email addresses for notifications and the outbox of messages waiting to be sent
+ *
+ * Each row is one message to one user through one transport, dedupe_key stops
+ * the scheduler queueing the same reminder twice
+ */
+const { addColumnIfMissing } = require("../migrator.js");
+
+module.exports.up = async (db) => {
+  await addColumnIfMissing(db, "users", "email", "TEXT");
+
+  await db.run(`
+    CREATE TABLE notification_outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      event_id INTEGER,
+      user_id INTEGER,
+      transport TEXT NOT NULL,
+      recipient TEXT,
+      subject TEXT NOT NULL,
+      body TEXT NOT NULL,
+      payload_json TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL,
+      last_error TEXT,
+      dedupe_key TEXT UNIQUE,
+      created_at TEXT NOT NULL,
+      sent_at TEXT
+    )
+  `);
+  await db.run("CREATE INDEX notification_outbox_due ON notification_outbox (status, next_attempt_at)");
+  await db.run("CREATE INDEX notification_outbox_event ON notification_outbox (event_id)");
+};
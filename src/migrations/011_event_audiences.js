@@ -0,0 +1,40 @@
+/**
+ * User groups and who each event is for
+ *
+ * events.visibility is public, groups or invite - group events are listed in event_groups
+ * and invite-only events in event_invites
+ */
+module.exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE user_groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      created_at TEXT NOT NULL
+    )
+  `);
+  await db.run(`
+    CREATE TABLE user_group_members (
+      group_id INTEGER NOT NULL REFERENCES user_groups(id),
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      PRIMARY KEY (group_id, user_id)
+    )
+  `);
+  await db.run("CREATE INDEX user_group_members_user ON user_group_members (user_id)");
+
+  await db.run("ALTER TABLE events ADD COLUMN visibility TEXT NOT NULL DEFAULT 'public'");
+  await db.run(`
+    CREATE TABLE event_groups (
+      event_id INTEGER NOT NULL REFERENCES events(id),
+      group_id INTEGER NOT NULL REFERENCES user_groups(id),
+      PRIMARY KEY (event_id, group_id)
+    )
+  `);
+  await db.run(`
+    CREATE TABLE event_invites (
+      event_id INTEGER NOT NULL REFERENCES events(id),
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      PRIMARY KEY (event_id, user_id)
+    )
+  `);
+  await db.run("CREATE INDEX event_invites_user ON event_invites (user_id)");
+};
@@ -0,0 +1,12 @@
+/**
+ * Attendance at events
+ *
+ * checked_in_at is set when a participant's check-in code is scanned at the door,
+ * checked_in_by is the admin or staff member who scanned it
+ */
+const { addColumnIfMissing } = require("../migrator.js");
+
+module.exports.up = async (db) => {
+  await addColumnIfMissing(db, "event_participants", "checked_in_at", "TEXT");
+  await addColumnIfMissing(db, "event_participants", "checked_in_by", "INTEGER REFERENCES users(id)");
+};
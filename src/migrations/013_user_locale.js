@@ -0,0 +1,10 @@
+/**
+ * Each user's choice of language for the pages
+ *
+ * NULL follows the browser's Accept-Language header, otherwise it's one of the locales in src/i18n.js
+ */
+const { addColumnIfMissing } = require("../migrator.js");
+
+module.exports.up = async (db) => {
+  await addColumnIfMissing(db, "users", "locale", "TEXT");
+};
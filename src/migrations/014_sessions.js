@@ -0,0 +1,16 @@
+/**
+ * Login sessions, kept in the database so a restart doesn't log everyone out
+ *
+ * data_json is the session as @fastify/session stores it, expired rows are
+ * deleted by the cleanup in src/session-store.js
+ */
+module.exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE sessions (
+      id TEXT PRIMARY KEY,
+      data_json TEXT NOT NULL,
+      expires_at TEXT NOT NULL
+    )
+  `);
+  await db.run("CREATE INDEX sessions_expires_at ON sessions (expires_at)");
+};
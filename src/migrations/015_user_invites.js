@@ -0,0 +1,12 @@
+/**
+ * Invite links for imported users who don't have a password yet
+ *
+ * Only a hash of the invite token is kept, like API tokens, and it's cleared
+ * once the user has chosen a password
+ */
+const { addColumnIfMissing } = require("../migrator.js");
+
+module.exports.up = async (db) => {
+  await addColumnIfMissing(db, "users", "invite_token_hash", "TEXT");
+  await addColumnIfMissing(db, "users", "invite_expires_at", "TEXT");
+};
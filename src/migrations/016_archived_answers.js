@@ -0,0 +1,11 @@
+/**
+ * Answers kept when an event's custom fields change
+ *
+ * archived_values_json is a JSON list of { field, value, reason, archived_at }, the answers
+ * to fields that were removed or no longer accept them, see src/schema-changes.js
+ */
+const { addColumnIfMissing } = require("../migrator.js");
+
+module.exports.up = async (db) => {
+  await addColumnIfMissing(db, "event_participants", "archived_values_json", "TEXT");
+};
@@ -0,0 +1,13 @@
+/**
+ * Event archive
+ *
+ * Deleting an event sets archived_at and archived_by instead of removing the row,
+ * so its participants stay until the event is restored or purged
+ */
+const { addColumnIfMissing } = require("../migrator.js");
+
+module.exports.up = async (db) => {
+  await addColumnIfMissing(db, "events", "archived_at", "TEXT");
+  await addColumnIfMissing(db, "events", "archived_by", "INTEGER REFERENCES users(id)");
+  await db.run("CREATE INDEX IF NOT EXISTS events_archived_at ON events (archived_at)");
+};
@@ -0,0 +1,121 @@
+/**
+ * Module applies the numbered schema migrations in /src/migrations
+ *
+ * Each migration file is named like 001_initial_schema.js and exports an async up(db) function
+ * Applied migrations are recorded in the schema_migrations table, so every migration runs once,
+ * in order, inside its own transaction
+ *
+ * The server runs pending migrations at startup, and src/migrate.js does the same from the command line
+ */
+
+const fs = require("fs");
+const path = require("path");
+const sqlite3 = require("sqlite3").verbose();
+const dbWrapper = require("sqlite");
+
+// The database lives in .data, which isn't copied when the project is remixed
+const DB_FILE = "./.data/choices.db";
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+/**
+ * Open the database using the sqlite wrapper so that we can make async / await connections
+ * - https://www.npmjs.com/package/sqlite
+ */
+function openDatabase() {
+  return dbWrapper.open({
+    filename: DB_FILE,
+    driver: sqlite3.Database
+  });
+}
+
+/**
+ * Read the migration files, sorted by their number
+ */
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => ({
+      version: parseInt(file, 10),
+      name: file.replace(/\.js$/, ""),
+      up: require(path.join(MIGRATIONS_DIR, file)).up
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+}
+
+/**
+ * List every migration with the time it was applied, or null if it is still pending
+ */
+async function getStatus(db) {
+  await ensureMigrationsTable(db);
+  const applied = await db.all("SELECT version, applied_at FROM schema_migrations");
+  const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied_at: appliedAt.get(migration.version) || null
+  }));
+}
+
+/**
+ * Apply the pending migrations in order
+ *
+ * Each migration and its schema_migrations row are committed together,
+ * so a failing migration is rolled back and stops the ones after it
+ * Returns the names of the migrations that were applied
+ */
+async function migrateUp(db) {
+  const pending = (await getStatus(db)).filter(migration => !migration.applied_at);
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+  const appliedNames = [];
+
+  for (const { version, name } of pending) {
+    await db.run("BEGIN IMMEDIATE");
+    try {
+      await migrations.get(version).up(db);
+      await db.run(
+        "INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)",
+        [version, name, new Date().toISOString()]
+      );
+      await db.run("COMMIT");
+    } catch (error) {
+      await db.run("ROLLBACK");
+      throw new Error(`Migration ${name} failed: ${error.message}`);
+    }
+    console.log(`Applied migration ${name}`);
+    appliedNames.push(name);
+  }
+
+  return appliedNames;
+}
+
+/**
+ * Add a column to a table unless it is already there
+ *
+ * Databases upgraded by the startup code used before migrations may already
+ * have some of the columns the early migrations add
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (!columns.some(col => col.name === column)) {
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+module.exports = {
+  DB_FILE,
+  openDatabase,
+  getStatus,
+  migrateUp,
+  addColumnIfMissing
+};
@@ -0,0 +1,132 @@
+/**
+ * Module builds notification messages and reads the notification settings
+ *
+ * Messages are queued in the notification_outbox table in the same transaction as the change
+ * that caused them, one row per user and transport, and src/notifier.js sends them later
+ * The settings come from .env:
+ * - NOTIFY_TRANSPORTS: the transports to send with, e.g. "smtp,webhook", empty turns notifications off
+ * - NOTIFY_REMINDER_HOURS: how long before an event its confirmed participants get a reminder, 24 by default
+ * - NOTIFY_INTERVAL_SECONDS: how often the scheduler runs, 60 by default
+ * - NOTIFY_MAX_ATTEMPTS: how many times a message is tried before it is marked failed, 5 by default
+ * Messages are written in each recipient's language, see notifications.messages in src/locales
+ */
+
+const eventFilters = require("./event-filters.js");
+const i18n = require("./i18n.js");
+
+const NOTIFICATION_KINDS = ["event.created", "event.changed", "event.reminder"];
+const NOTIFICATION_STATUSES = ["pending", "sent", "failed"];
+// Statuses whose participants hear about changes to the event
+const CHANGE_RECIPIENT_STATUSES = ["參加", "候補"];
+
+// Fields named in change messages
+const CHANGED_FIELDS = ["date", "location"];
+
+// Read a positive number from the environment, or the fallback when it's missing or not usable
+function readNumber(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== "" && number > 0 ? number : fallback;
+}
+
+/**
+ * Read the notification settings from the environment
+ */
+function readSettings(env = process.env) {
+  return {
+    transports: (env.NOTIFY_TRANSPORTS || "").split(",").map((name) => name.trim()).filter(Boolean),
+    reminderHours: readNumber(env.NOTIFY_REMINDER_HOURS, 24),
+    intervalSeconds: readNumber(env.NOTIFY_INTERVAL_SECONDS, 60),
+    maxAttempts: readNumber(env.NOTIFY_MAX_ATTEMPTS, 5),
+  };
+}
+
+// The event details every message lists
+function describeEvent(event, locale) {
+  const t = (key, params) => i18n.translate(locale, `notifications.messages.${key}`, params);
+  return [
+    t("name", { name: event.name }),
+    t("date", { date: i18n.formatDate(event.date, locale) }),
+    t("location", { location: event.location }),
+    t("type", { type: event.type }),
+  ];
+}
+
+/**
+ * Build the subject and text of a message about an event, in the recipient's locale
+ *
+ * Details depend on the kind:
+ * - event.created: occurrences, the number of events in a new series
+ * - event.changed: changes, a list of { field, before, after }
+ */
+function buildMessage(kind, event, details = {}, locale = i18n.DEFAULT_LOCALE) {
+  const t = (key, params) => i18n.translate(locale, `notifications.messages.${key}`, params);
+  if (kind === "event.created") {
+    const lines = [t("createdIntro"), "", ...describeEvent(event, locale)];
+    if (details.occurrences > 1) lines.push("", t("seriesNote", { count: details.occurrences }));
+    return { subject: t("createdSubject", { name: event.name }), body: lines.join("\n") };
+  }
+  if (kind === "event.changed") {
+    const format = (field, value) => (field === "date" ? i18n.formatDate(value, locale) : value);
+    const changes = (details.changes || []).map((change) => t("change", {
+      field: t(`fields.${change.field}`),
+      before: format(change.field, change.before),
+      after: format(change.field, change.after),
+    }));
+    return {
+      subject: t("changedSubject", { name: event.name }),
+      body: [t("changedIntro"), "", ...changes, "", ...describeEvent(event, locale)].join("\n"),
+    };
+  }
+  if (kind === "event.reminder") {
+    return {
+      subject: t("reminderSubject", { name: event.name }),
+      body: [
+        t("reminderIntro", { date: i18n.formatDate(event.date, locale) }), "", ...describeEvent(event, locale),
+      ].join("\n"),
+    };
+  }
+  throw new Error(`Unknown notification kind ${kind}`);
+}
+
+/**
+ * List the date and location changes between two versions of an event,
+ * the changes participants are told about
+ */
+function describeChanges(before, after) {
+  return CHANGED_FIELDS
+    .filter((field) => before[field] !== after[field])
+    .map((field) => ({ field: field, before: before[field], after: after[field] }));
+}
+
+/**
+ * The range of event dates whose reminders are due now
+ *
+ * Events have a date but no time, so they are taken to start at midnight and the reminder
+ * goes out from reminderHours before that, until the day itself
+ * Returns { from, to } as YYYY-MM-DD, from is after to when nothing is due
+ */
+function reminderDates(now, reminderHours) {
+  const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  return {
+    from: eventFilters.today(tomorrow),
+    to: eventFilters.today(new Date(now.getTime() + reminderHours * 60 * 60 * 1000)),
+  };
+}
+
+/**
+ * How long to wait before trying a failed message again, doubling from a minute
+ */
+function retryDelay(attempts) {
+  return Math.min(2 ** (attempts - 1), 24 * 60) * 60 * 1000;
+}
+
+module.exports = {
+  NOTIFICATION_KINDS,
+  NOTIFICATION_STATUSES,
+  CHANGE_RECIPIENT_STATUSES,
+  readSettings,
+  buildMessage,
+  describeChanges,
+  reminderDates,
+  retryDelay,
+};
@@ -0,0 +1,94 @@
+/**
+ * Module runs the notification scheduler inside the server process
+ *
+ * Every NOTIFY_INTERVAL_SECONDS it queues the reminders that have come due, then sends
+ * the messages waiting in the outbox
+ * A message that fails to send is tried again later with a growing delay, and marked failed
+ * after NOTIFY_MAX_ATTEMPTS so an admin can look at it and retry it from /admin/notifications
+ */
+
+const data = require("./data.json");
+const db = require("./" + data.database);
+const notifications = require("./notifications.js");
+const transportRegistry = require("./transports.js");
+
+// Messages sent per run, the rest wait for the next one
+const BATCH_SIZE = 50;
+
+let timer = null;
+let currentRun = null;
+let settings = null;
+let transports = {};
+
+// Try to send one message and record how it went
+async function deliver(notification) {
+  const transport = transports[notification.transport];
+  try {
+    if (!transport) throw new Error(`The ${notification.transport} transport isn't set up.`);
+    await transport.send(notification);
+    await db.markNotificationSent(notification.id);
+  } catch (error) {
+    const attempts = notification.attempts + 1;
+    const retryAt = attempts < settings.maxAttempts
+      ? new Date(Date.now() + notifications.retryDelay(attempts)).toISOString()
+      : null;
+    await db.markNotificationFailed(notification.id, error.message, retryAt);
+  }
+}
+
+/**
+ * Queue the reminders that are due and send the waiting messages
+ *
+ * Runs don't overlap, calling this while one is going returns that run
+ * Does nothing until the scheduler has been started
+ */
+function runOnce() {
+  if (!timer) return Promise.resolve();
+  if (!currentRun) {
+    currentRun = (async () => {
+      const now = new Date();
+      const { from, to } = notifications.reminderDates(now, settings.reminderHours);
+      if (from <= to) await db.queueReminders(from, to);
+
+      const due = (await db.getDueNotifications(now.toISOString(), BATCH_SIZE)) || [];
+      for (const notification of due) await deliver(notification);
+    })()
+      .catch((error) => console.error("Notification run failed:", error))
+      .finally(() => {
+        currentRun = null;
+      });
+  }
+  return currentRun;
+}
+
+/**
+ * Start the scheduler with the settings from .env
+ *
+ * Does nothing when NOTIFY_TRANSPORTS is empty
+ */
+function start() {
+  settings = notifications.readSettings();
+  if (!settings.transports.length) {
+    console.log("Notifications are off, set NOTIFY_TRANSPORTS to send them.");
+    return;
+  }
+  transports = transportRegistry.createTransports(settings.transports);
+  timer = setInterval(runOnce, settings.intervalSeconds * 1000);
+  console.log(`Sending notifications with ${Object.keys(transports).join(", ") || "no working transports"}.`);
+  runOnce();
+}
+
+/**
+ * Stop the scheduler, waiting for a run in progress to finish
+ */
+async function stop() {
+  clearInterval(timer);
+  timer = null;
+  await currentRun;
+}
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+};
@@ -0,0 +1,90 @@
+/**
+ * Module reads the poll form and ballots, and decides who can vote
+ *
+ * Admins attach polls to an event with a question and a list of options,
+ * single choice polls take one option per ballot and multiple choice polls any number
+ * Users attending or on the waitlist for the event vote once per poll, voting again replaces their ballot
+ */
+
+const i18n = require("./i18n.js");
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 20;
+// Participation statuses that can vote, users who declined have no say
+const VOTING_STATUSES = ["參加", "候補"];
+
+// Read a list from a JSON array or a form textarea with one item per line
+function readList(value) {
+  if (value === undefined || value === null) return [];
+  const items = Array.isArray(value) ? value : String(value).split(/\r?\n/);
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+// Checkbox and JSON booleans, "on" is what a checked form checkbox sends
+function readFlag(value) {
+  return value === true || value === "on" || value === "true" || value === "1" || value === 1;
+}
+
+/**
+ * Read a new poll from the event page form or an API request
+ *
+ * Takes question, options (an array or one per line) and multiple_choice
+ * Returns { poll } or { error } with a message for the admin in their locale
+ */
+function parsePollForm(input = {}, locale = i18n.DEFAULT_LOCALE) {
+  const question = typeof input.question === "string" ? input.question.trim() : "";
+  if (!question) return { error: i18n.translate(locale, "errors.pollQuestionRequired") };
+
+  const options = readList(input.options);
+  if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+    return { error: i18n.translate(locale, "errors.pollOptionCount", { min: MIN_OPTIONS, max: MAX_OPTIONS }) };
+  }
+  if (new Set(options).size !== options.length) {
+    return { error: i18n.translate(locale, "errors.pollOptionsRepeated") };
+  }
+
+  return {
+    poll: {
+      question: question,
+      multiple_choice: readFlag(input.multiple_choice),
+      options: options,
+    },
+  };
+}
+
+/**
+ * Read the chosen options from a ballot
+ *
+ * Takes option_ids, one id or an array of them, which must belong to the poll
+ * Returns { optionIds } or { error } with a message for the voter in their locale
+ */
+function parseBallot(poll, input = {}, locale = i18n.DEFAULT_LOCALE) {
+  const raw = input.option_ids === undefined ? [] : [].concat(input.option_ids);
+  const optionIds = [...new Set(raw.map(Number))];
+  const validIds = poll.options.map((option) => option.id);
+
+  if (optionIds.length === 0) return { error: i18n.translate(locale, "errors.voteNoOption") };
+  if (optionIds.some((id) => !validIds.includes(id))) {
+    return { error: i18n.translate(locale, "errors.voteUnknownOption") };
+  }
+  if (!poll.multiple_choice && optionIds.length > 1) {
+    return { error: i18n.translate(locale, "errors.voteSingleChoice") };
+  }
+  return { optionIds };
+}
+
+/**
+ * Check whether a user can vote in an event's polls, given their participation in it
+ */
+function canVote(user, participant) {
+  return Boolean(
+    user && user.role === "user" && participant && VOTING_STATUSES.includes(participant.status)
+  );
+}
+
+module.exports = {
+  MAX_OPTIONS,
+  parsePollForm,
+  parseBallot,
+  canVote,
+};
@@ -0,0 +1,112 @@
+/**
+ * Module turns a recurrence rule into the dates of an event series
+ *
+ * A rule repeats the first event's date daily, weekly or monthly, every `interval` days, weeks or months,
+ * until an end date or for a number of occurrences
+ * Monthly series stay on the same day of the month and skip months without that day, e.g. the 31st
+ */
+
+const i18n = require("./i18n.js");
+
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+// Keeps a mistyped end date from filling the database with events
+const MAX_OCCURRENCES = 100;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Read a whole number from a form or JSON value, undefined when it's empty and NaN when it isn't a whole number
+function readInteger(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+}
+
+/**
+ * Read a recurrence rule from the event form or an API request
+ *
+ * Takes frequency, interval, until and count
+ * Returns { rule: null } when there's no frequency, i.e. a single event,
+ * { rule } when the rule is usable, or { error } with a message for the admin in their locale
+ */
+function parseRecurrence(input = {}, locale = i18n.DEFAULT_LOCALE) {
+  if (!input.frequency) return { rule: null };
+  if (!FREQUENCIES.includes(input.frequency)) {
+    return { error: i18n.translate(locale, "errors.invalidFrequency", { options: FREQUENCIES }) };
+  }
+
+  const interval = readInteger(input.interval);
+  if (interval !== undefined && !(interval >= 1)) {
+    return { error: i18n.translate(locale, "errors.invalidInterval") };
+  }
+  const count = readInteger(input.count);
+  if (count !== undefined && !(count >= 1 && count <= MAX_OCCURRENCES)) {
+    return { error: i18n.translate(locale, "errors.invalidCount", { max: MAX_OCCURRENCES }) };
+  }
+  const until = input.until || undefined;
+  if (until !== undefined && (!DATE_PATTERN.test(until) || isNaN(new Date(until)))) {
+    return { error: i18n.translate(locale, "errors.untilFormat") };
+  }
+  if ((count === undefined) === (until === undefined)) {
+    return { error: i18n.translate(locale, "errors.untilOrCount") };
+  }
+
+  return {
+    rule: {
+      frequency: input.frequency,
+      interval: interval || 1,
+      until: until || null,
+      count: count || null,
+    },
+  };
+}
+
+// Build a YYYY-MM-DD date in UTC, or null if the day doesn't exist in that month
+function makeDate(year, monthIndex, day) {
+  const date = new Date(Date.UTC(year, monthIndex, day));
+  return date.getUTCDate() === day ? date.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * List the dates of a series, starting with the first event's date
+ *
+ * Returns { dates } or { error } in the locale when the rule makes too many or no occurrences
+ */
+function generateDates(startDate, rule, locale = i18n.DEFAULT_LOCALE) {
+  if (!DATE_PATTERN.test(startDate || "") || isNaN(new Date(startDate))) {
+    return { error: i18n.translate(locale, "errors.seriesStartFormat") };
+  }
+  if (rule.until && rule.until < startDate) {
+    return { error: i18n.translate(locale, "errors.untilBeforeStart") };
+  }
+
+  const [year, month, day] = startDate.split("-").map(Number);
+  const limit = rule.count || MAX_OCCURRENCES + 1;
+  const dates = [];
+
+  // Step through the candidates, skipping monthly dates that don't exist
+  for (let step = 0; dates.length < limit; step++) {
+    let date;
+    if (rule.frequency === "monthly") {
+      date = makeDate(year, month - 1 + step * rule.interval, day);
+      // Stop a rule that keeps landing on missing days, like every 12 months from 29 February
+      if (!date && step > 12 * rule.interval * MAX_OCCURRENCES) break;
+      if (!date) continue;
+    } else {
+      const days = rule.frequency === "weekly" ? 7 * rule.interval : rule.interval;
+      date = new Date(Date.UTC(year, month - 1, day + step * days)).toISOString().slice(0, 10);
+    }
+    if (rule.until && date > rule.until) break;
+    dates.push(date);
+  }
+
+  if (dates.length > MAX_OCCURRENCES) {
+    return { error: i18n.translate(locale, "errors.tooManyOccurrences", { max: MAX_OCCURRENCES }) };
+  }
+  return { dates };
+}
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  parseRecurrence,
+  generateDates,
+};
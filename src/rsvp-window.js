@@ -0,0 +1,69 @@
+/**
+ * Module works out whether users can still respond to an event
+ *
+ * Events can have registration_opens_at and registration_closes_at timestamps,
+ * saved from the datetime inputs on the admin page (e.g. 2024-12-31T18:00)
+ * Without a closing time, responses close at the end of the event's date
+ */
+
+const i18n = require("./i18n.js");
+
+/**
+ * Get the registration window of an event at a point in time
+ *
+ * Returns { state, opensAt, closesAt, message } where state is
+ * "not_open", "open" or "closed" and message explains it to the user in their locale
+ */
+function getRsvpWindow(event, locale = i18n.DEFAULT_LOCALE, now = new Date()) {
+  const opensAt = event.registration_opens_at ? new Date(event.registration_opens_at) : null;
+  const closesAt = event.registration_closes_at
+    ? new Date(event.registration_closes_at)
+    : new Date(`${event.date}T23:59:59`);
+
+  if (opensAt && now < opensAt) {
+    return {
+      state: "not_open",
+      opensAt: opensAt,
+      closesAt: closesAt,
+      message: i18n.translate(locale, "errors.registrationNotOpen", { time: formatTime(opensAt) }),
+    };
+  }
+
+  if (!isNaN(closesAt) && now > closesAt) {
+    return {
+      state: "closed",
+      opensAt: opensAt,
+      closesAt: closesAt,
+      message: i18n.translate(locale, "errors.registrationEnded", { time: formatTime(closesAt) }),
+    };
+  }
+
+  return { state: "open", opensAt: opensAt, closesAt: closesAt, message: null };
+}
+
+/**
+ * Check the opening and closing times an admin entered
+ *
+ * Returns an error message in the locale, or null if they are fine
+ */
+function checkRsvpWindow(opensAt, closesAt, locale = i18n.DEFAULT_LOCALE) {
+  if (opensAt && isNaN(new Date(opensAt))) return i18n.translate(locale, "errors.invalidOpensAt");
+  if (closesAt && isNaN(new Date(closesAt))) return i18n.translate(locale, "errors.invalidClosesAt");
+  if (opensAt && closesAt && new Date(opensAt) >= new Date(closesAt)) {
+    return i18n.translate(locale, "errors.opensAfterCloses");
+  }
+  return null;
+}
+
+// Show a time as YYYY-MM-DD HH:mm in the server's time zone
+function formatTime(date) {
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+module.exports = {
+  getRsvpWindow,
+  checkRsvpWindow,
+  formatTime,
+};
@@ -0,0 +1,200 @@
+/**
+ * Module works out what editing an event's custom fields does to the answers already given
+ *
+ * The edit form sends the new schema with the fields that were renamed, as a JSON object
+ * of old name -> new name, like { "Shirt": "T-shirt size" }
+ * - answers to a renamed field move to its new name
+ * - answers to a removed field, and answers a changed field no longer accepts, are archived
+ *   in event_participants.archived_values_json instead of being dropped
+ * Edits that rename, retype or remove fields with answers have to be confirmed first,
+ * see checkSchemaChanges in server.js
+ */
+
+const i18n = require("./i18n.js");
+const validator = require("./validator.js");
+
+// The field settings that decide which answers a field accepts
+const ANSWER_SETTINGS = ["type", "options", "min", "max", "maxLength"];
+
+// Parse stored JSON, falling back when it's missing or broken
+function parseJson(json, fallback) {
+  if (!json) return fallback;
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Read a participant's stored answers, an empty object when there are none
+ */
+function readValues(json) {
+  const values = parseJson(json, {});
+  return values && typeof values === "object" && !Array.isArray(values) ? values : {};
+}
+
+/**
+ * Read a participant's archived answers, a list of { field, value, reason, archived_at }
+ */
+function readArchived(json) {
+  const archived = parseJson(json, []);
+  return Array.isArray(archived) ? archived : [];
+}
+
+/**
+ * Read the renamed fields sent with an edit
+ *
+ * Accepts the JSON from the edit form or an already parsed object
+ * Returns { renames }, or { error } in the locale when they aren't old name -> new name pairs
+ */
+function readRenames(value, locale = i18n.DEFAULT_LOCALE) {
+  if (value === undefined || value === null || value === "") return { renames: {} };
+  const error = i18n.translate(locale, "errors.invalidRenames");
+  let renames = value;
+  if (typeof value === "string") {
+    try {
+      renames = JSON.parse(value);
+    } catch (parseError) {
+      return { error: error };
+    }
+  }
+  if (!renames || typeof renames !== "object" || Array.isArray(renames)) return { error: error };
+  if (Object.values(renames).some((name) => typeof name !== "string" || name === "")) return { error: error };
+  return { renames: renames };
+}
+
+/**
+ * Match each old field to the new field its answers go to
+ *
+ * A rename wins when the new name is in the new schema, otherwise a field keeps its name
+ * Returns a Map of old field name -> new field, or null for a field that was removed
+ */
+function matchFields(oldFields, newFields, renames) {
+  const newByName = new Map(newFields.map((field) => [field.name, field]));
+  const taken = new Set();
+  const renamed = new Map();
+  for (const field of oldFields) {
+    const to = renames[field.name];
+    if (to && to !== field.name && newByName.has(to) && !taken.has(to)) {
+      renamed.set(field.name, newByName.get(to));
+      taken.add(to);
+    }
+  }
+
+  const matches = new Map();
+  for (const field of oldFields) {
+    if (renamed.has(field.name)) {
+      matches.set(field.name, renamed.get(field.name));
+    } else {
+      // A field whose name was given to another one by a rename is gone
+      matches.set(field.name, taken.has(field.name) ? null : newByName.get(field.name) || null);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Check two versions of a field accept the same answers
+ */
+function sameAnswers(oldField, newField) {
+  return ANSWER_SETTINGS.every((setting) => JSON.stringify(oldField[setting]) === JSON.stringify(newField[setting]));
+}
+
+/**
+ * Move a participant's answers over to the new fields
+ *
+ * Matches come from matchFields
+ * Returns { values, archived } - the answers to keep under their new names, and the
+ * { field, value, reason } of each answer archived, reason is "removed" or "changed"
+ */
+function migrateAnswers(values, matches) {
+  const migrated = {};
+  const archived = [];
+  for (const [name, value] of Object.entries(values)) {
+    const field = matches.get(name);
+    if (!field) {
+      archived.push({ field: name, value: value, reason: "removed" });
+    } else if (validator.validateField(field, value)) {
+      archived.push({ field: name, value: value, reason: "changed" });
+    } else {
+      migrated[field.name] = value;
+    }
+  }
+  return { values: migrated, archived: archived };
+}
+
+/**
+ * List the changes between two schemas with how many answers each one touches
+ *
+ * Answers are the stored answers of the event's participants, one object each
+ * Returns a list of { change, field, to, answers, archived } where change is added, removed,
+ * renamed or changed, to is the new name of a renamed field, answers counts the participants
+ * who answered the field and archived how many of those answers would be archived
+ * Fields that stay as they are aren't listed
+ */
+function describeChanges(oldFields, newFields, renames, answers) {
+  const matches = matchFields(oldFields, newFields, renames);
+  const changes = [];
+  for (const field of oldFields) {
+    const to = matches.get(field.name);
+    const given = answers.filter((values) => values[field.name] !== undefined);
+    let change = null;
+    if (!to) change = "removed";
+    else if (to.name !== field.name) change = "renamed";
+    else if (!sameAnswers(field, to)) change = "changed";
+    if (!change) continue;
+
+    changes.push({
+      change: change,
+      field: field.name,
+      to: to && to.name !== field.name ? to.name : null,
+      answers: given.length,
+      archived: to ? given.filter((values) => validator.validateField(to, values[field.name])).length : given.length,
+    });
+  }
+
+  const kept = new Set([...matches.values()].filter(Boolean).map((field) => field.name));
+  for (const field of newFields) {
+    if (!kept.has(field.name)) {
+      changes.push({ change: "added", field: field.name, to: null, answers: 0, archived: 0 });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Merge the changes to several events, like the occurrences of a series, adding up the counts
+ */
+function combineChanges(lists) {
+  const combined = new Map();
+  for (const change of lists.flat()) {
+    const key = JSON.stringify([change.change, change.field, change.to]);
+    const entry = combined.get(key);
+    if (entry) {
+      entry.answers += change.answers;
+      entry.archived += change.archived;
+    } else {
+      combined.set(key, { ...change });
+    }
+  }
+  return [...combined.values()];
+}
+
+/**
+ * Check whether the changes touch answers, so the admin has to confirm them
+ */
+function needsConfirmation(changes) {
+  return changes.some((change) => change.change !== "added" && change.answers > 0);
+}
+
+module.exports = {
+  readValues,
+  readArchived,
+  readRenames,
+  matchFields,
+  migrateAnswers,
+  describeChanges,
+  combineChanges,
+  needsConfirmation,
+};
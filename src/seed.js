@@ -0,0 +1,51 @@
+/**
+ * Module adds the default accounts to a new database
+ *
+ * The server runs this at startup when there are no users at all, unless
+ * SEED_DEFAULT_USERS is set to false in .env, and `npm run seed` runs it by hand
+ * The default passwords are well known, so each account has to change it on first login
+ */
+
+const bcrypt = require("bcryptjs");
+
+const DEFAULT_USERS = [
+  { username: "admin", password: "admin", role: "admin" },
+  { username: "user1", password: "123456", role: "user" },
+  { username: "user2", password: "123456", role: "user" },
+  { username: "user3", password: "123456", role: "user" }
+];
+
+/**
+ * Add any default users that don't exist yet
+ *
+ * Returns the usernames that were added
+ */
+async function seedDefaultUsers(db) {
+  const added = [];
+  for (const user of DEFAULT_USERS) {
+    const existing = await db.get("SELECT id FROM users WHERE username = ?", user.username);
+    if (existing) continue;
+
+    const passwordHash = await bcrypt.hash(user.password, 10);
+    await db.run(
+      "INSERT INTO users (username, password_hash, role, must_change_password) VALUES (?, ?, ?, 1)",
+      [user.username, passwordHash, user.role]
+    );
+    added.push(user.username);
+  }
+  return added;
+}
+
+/**
+ * Check whether the startup seed should run - only for a database without any users
+ */
+async function shouldSeedOnStartup(db) {
+  if (process.env.SEED_DEFAULT_USERS === "false") return false;
+  const { count } = await db.get("SELECT COUNT(*) AS count FROM users");
+  return count === 0;
+}
+
+module.exports = {
+  seedDefaultUsers,
+  shouldSeedOnStartup
+};
@@ -0,0 +1,68 @@
+/**
+ * Module keeps the login sessions in the sessions table instead of in memory,
+ * so users stay logged in when the server restarts
+ *
+ * createStore makes the store @fastify/session reads and writes through
+ * start runs a cleanup every SESSION_CLEANUP_MINUTES (60 by default) that deletes expired sessions,
+ * expired ones are never handed back in the meantime
+ */
+
+const data = require("./data.json");
+const db = require("./" + data.database);
+
+// The secret sessions are signed with when SESSION_SECRET isn't set, only good enough for trying the app out
+const DEV_SESSION_SECRET = "a secret with minimum length of 32 characters";
+
+let timer = null;
+
+/**
+ * Make a session store for @fastify/session
+ *
+ * Sessions expire with their cookie, or maxAge milliseconds after they were saved
+ * when the cookie has no expiry
+ */
+function createStore(maxAge) {
+  return {
+    set: (id, session, callback) => {
+      const expires = (session.cookie && session.cookie.expires) || Date.now() + maxAge;
+      db.saveSession(id, session, new Date(expires).toISOString())
+        .then((changes) => callback(changes ? null : new Error("Failed to save session.")));
+    },
+    get: (id, callback) => {
+      db.getSession(id, new Date().toISOString()).then((session) => callback(null, session || null));
+    },
+    destroy: (id, callback) => {
+      db.deleteSession(id).then((changes) => callback(changes === undefined ? new Error("Failed to delete session.") : null));
+    },
+  };
+}
+
+// Delete the expired sessions
+async function cleanUp() {
+  const deleted = await db.deleteExpiredSessions(new Date().toISOString());
+  if (deleted) console.log(`Deleted ${deleted} expired sessions.`);
+}
+
+/**
+ * Start the expired session cleanup
+ */
+function start(env = process.env) {
+  const minutes = Number(env.SESSION_CLEANUP_MINUTES) > 0 ? Number(env.SESSION_CLEANUP_MINUTES) : 60;
+  timer = setInterval(cleanUp, minutes * 60 * 1000);
+  cleanUp();
+}
+
+/**
+ * Stop the expired session cleanup
+ */
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  DEV_SESSION_SECRET,
+  createStore,
+  start,
+  stop,
+};
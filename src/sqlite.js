@@ -4,215 +4,1252 @@
  * Server API calls the methods in here to query and update the SQLite database
  */
 
-// Utilities we need
-const fs = require("fs");
+// The schema is managed by the numbered migrations in /src/migrations
+const migrator = require("./migrator.js");
+const seed = require("./seed.js");
+const crypto = require("crypto");
 const bcrypt = require("bcryptjs");
-
-// Initialize the database
-const dbFile = "./.data/choices.db";
-const exists = fs.existsSync(dbFile);
+const notifications = require("./notifications.js");
+const i18n = require("./i18n.js");
+const transports = require("./transports.js");
+const validator = require("./validator.js");
+const schemaChanges = require("./schema-changes.js");
 
 console.log('Initializing database...');
 
-// Close the database connection and delete the database file if it exists
-const sqlite3 = require("sqlite3").verbose();
-const dbWrapper = require("sqlite");
 let db;
 
+// Participation statuses - users pick attending or declined, the app puts them on the waitlist when an event is full
+const STATUS_ATTENDING = "參加";
+const STATUS_DECLINED = "不參加";
+const STATUS_WAITLISTED = "候補";
+
+/**
+ * Open the database, apply any pending migrations and add the default users to a new database
+ *
+ * The server waits for this before it starts listening
+ */
 async function initializeDatabase() {
-  /* 
-  We're using the sqlite wrapper so that we can make async / await connections
-  - https://www.npmjs.com/package/sqlite
-  */
-  dbWrapper
-    .open({
-      filename: dbFile,
-      driver: sqlite3.Database
-    })
-    .then(async dBase => {
-      db = dBase;
-
-      // We use try and catch blocks throughout to handle any database errors
-      try {
-        // Check if the users table exists
-        const usersTableExists = await db.get("SELECT name FROM sqlite_master WHERE type='table' AND name='users'");
-
-        if (!usersTableExists) {
-          console.log('Users table does not exist, creating tables...');
-
-          // Check if the Choices table exists
-          const choicesTableExists = await db.get("SELECT name FROM sqlite_master WHERE type='table' AND name='Choices'");
-          if (!choicesTableExists) {
-            // Database doesn't exist yet - create Choices and Log tables
-            await db.run(
-              "CREATE TABLE Choices (id INTEGER PRIMARY KEY AUTOINCREMENT, language TEXT, picks INTEGER)"
-            );
+  db = await migrator.openDatabase();
+  await migrator.migrateUp(db);
 
-            // Add default choices to table
-            await db.run(
-              "INSERT INTO Choices (language, picks) VALUES ('HTML', 0), ('JavaScript', 0), ('CSS', 0)"
-            );
-            console.log('Created the Choices table');
-          }
+  if (await seed.shouldSeedOnStartup(db)) {
+    const added = await seed.seedDefaultUsers(db);
+    console.log(`Added default users: ${added.join(", ")}`);
+  }
 
-          // Check if the Log table exists
-          const logTableExists = await db.get("SELECT name FROM sqlite_master WHERE type='table' AND name='Log'");
-          if (!logTableExists) {
-            // Log can start empty - we'll insert a new record whenever the user chooses a poll option
-            await db.run(
-              "CREATE TABLE Log (id INTEGER PRIMARY KEY AUTOINCREMENT, choice TEXT, time STRING)"
-            );
-          }
+  console.log("Database is up to date.");
+}
 
-          // Create users table
-          await db.run(`
-            CREATE TABLE users (
-              id INTEGER PRIMARY KEY AUTOINCREMENT,
-              username TEXT UNIQUE NOT NULL,
-              password_hash TEXT NOT NULL,
-              role TEXT NOT NULL
-            )
-          `);
-          console.log('Created the users table');
-
-          // Create events table
-          await db.run(`
-            CREATE TABLE events (
-              id INTEGER PRIMARY KEY AUTOINCREMENT,
-              name TEXT NOT NULL,
-              date TEXT NOT NULL,
-              location TEXT NOT NULL,
-              type TEXT NOT NULL,
-              custom_fields_schema_json TEXT
-            )
-          `);
-          console.log('Created the events table');
-
-          // Create event_participants table
-          await db.run(`
-            CREATE TABLE event_participants (
-              id INTEGER PRIMARY KEY AUTOINCREMENT,
-              event_id INTEGER NOT NULL,
-              user_id INTEGER NOT NULL,
-              status TEXT NOT NULL,
-              custom_field_values_json TEXT,
-              FOREIGN KEY (event_id) REFERENCES events(id),
-              FOREIGN KEY (user_id) REFERENCES users(id)
-            )
-          `);
-          console.log('Created the event_participants table');
-
-          // Insert default users
-          const adminPasswordHash = await bcrypt.hash("admin", 10);
-          await db.run(
-            "INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)",
-            ["admin", adminPasswordHash, "admin"]
-          );
+const ready = initializeDatabase();
 
-          const user1PasswordHash = await bcrypt.hash("123456", 10);
-          await db.run(
-            "INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)",
-            ["user1", user1PasswordHash, "user"]
-          );
-          
-          const user2PasswordHash = await bcrypt.hash("123456", 10);
-          await db.run(
-            "INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)",
-            ["user2", user2PasswordHash, "user"]
+/**
+ * Run some queries inside a transaction
+ *
+ * There is a single connection, so transactions are queued to stop one
+ * starting while another is still open
+ * The work is rolled back and the error rethrown if anything fails
+ */
+let transactionQueue = Promise.resolve();
+function withTransaction(work) {
+  const run = transactionQueue.then(async () => {
+    await db.run("BEGIN IMMEDIATE");
+    try {
+      const result = await work();
+      await db.run("COMMIT");
+      return result;
+    } catch (error) {
+      await db.run("ROLLBACK");
+      throw error;
+    }
+  });
+  // Keep the queue going even if this transaction failed
+  transactionQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Move waitlisted users onto the attending list while the event has free places
+ *
+ * Users are promoted in the order they joined the waitlist
+ * Each promotion is audited with the actor whose change freed the place
+ * Must be called inside a transaction, returns the ids of the promoted users
+ */
+async function promoteWaitlisted(event_id, actor) {
+  const event = await db.get("SELECT max_attendees FROM events WHERE id = ?", event_id);
+  const promoted = [];
+  if (!event) return promoted;
+
+  const { confirmed } = await db.get(
+    "SELECT COUNT(*) AS confirmed FROM event_participants WHERE event_id = ? AND status = ?",
+    [event_id, STATUS_ATTENDING]
+  );
+  const freePlaces = event.max_attendees === null ? Infinity : event.max_attendees - confirmed;
+  if (freePlaces <= 0) return promoted;
+
+  const waitlisted = await db.all(
+    `SELECT * FROM event_participants
+     WHERE event_id = ? AND status = ?
+     ORDER BY waitlisted_at, id`,
+    [event_id, STATUS_WAITLISTED]
+  );
+  for (const participant of waitlisted.slice(0, freePlaces)) {
+    await db.run(
+      "UPDATE event_participants SET status = ?, waitlisted_at = NULL WHERE id = ?",
+      [STATUS_ATTENDING, participant.id]
+    );
+    await recordAudit(actor, "participation.promoted", {
+      event_id: event_id,
+      subject_user_id: participant.user_id,
+      before: participationSnapshot(participant),
+      after: participationSnapshot({ ...participant, status: STATUS_ATTENDING })
+    });
+    promoted.push(participant.user_id);
+  }
+  return promoted;
+}
+
+/**
+ * Add an entry to the audit log
+ *
+ * Actor is the logged in user who made the change, or null when nobody was logged in
+ * Before and after are snapshots of the changed row, stored as JSON
+ * Called in the same transaction as the change it records
+ */
+async function recordAudit(actor, action, { event_id = null, subject_user_id = null, before = null, after = null }) {
+  await db.run(
+    `INSERT INTO audit_log (occurred_at, actor_user_id, action, event_id, subject_user_id, before_json, after_json)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      new Date().toISOString(),
+      actor ? actor.user_id : null,
+      action,
+      event_id,
+      subject_user_id,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null
+    ]
+  );
+}
+
+// The part of a participation row the audit log keeps
+function participationSnapshot(participant) {
+  return participant
+    ? { status: participant.status, custom_field_values_json: participant.custom_field_values_json }
+    : null;
+}
+
+/**
+ * Carry the answers to an event over to its new custom field schema
+ *
+ * Answers to renamed fields move to the new name, and answers to removed fields or
+ * that a changed field no longer accepts are added to archived_values_json
+ * Each changed participation is audited
+ * Must be called inside a transaction, before is the event row as it was
+ */
+async function carryAnswersOver(before, event, actor) {
+  const renames = event.custom_field_renames || {};
+  if (before.custom_fields_schema_json === event.custom_fields_schema_json && !Object.keys(renames).length) return;
+
+  const matches = schemaChanges.matchFields(
+    validator.parseSchema(before.custom_fields_schema_json).fields,
+    validator.parseSchema(event.custom_fields_schema_json).fields,
+    renames
+  );
+  const participants = await db.all("SELECT * FROM event_participants WHERE event_id = ?", before.id);
+  const archivedAt = new Date().toISOString();
+  for (const participant of participants) {
+    const values = schemaChanges.readValues(participant.custom_field_values_json);
+    const result = schemaChanges.migrateAnswers(values, matches);
+    const valuesJson = JSON.stringify(result.values);
+    if (valuesJson === JSON.stringify(values)) continue;
+
+    const archived = schemaChanges.readArchived(participant.archived_values_json)
+      .concat(result.archived.map((answer) => ({ ...answer, archived_at: archivedAt })));
+    await db.run(
+      "UPDATE event_participants SET custom_field_values_json = ?, archived_values_json = ? WHERE id = ?",
+      [valuesJson, archived.length ? JSON.stringify(archived) : null, participant.id]
+    );
+    await recordAudit(actor, "participation.changed", {
+      event_id: before.id,
+      subject_user_id: participant.user_id,
+      before: participationSnapshot(participant),
+      after: participationSnapshot({ ...participant, custom_field_values_json: valuesJson })
+    });
+  }
+}
+
+// The part of a poll the audit log keeps, with the options as one line so changes compare as text
+function pollSnapshot(poll) {
+  return {
+    question: poll.question,
+    multiple_choice: poll.multiple_choice ? 1 : 0,
+    options: poll.options.join(" / ")
+  };
+}
+
+// Add the options with their vote counts, the number of voters and the user's choices to a poll row
+async function withPollResults(poll, user_id) {
+  const options = await db.all(
+    `SELECT
+       o.id,
+       o.label,
+       (SELECT COUNT(*) FROM poll_votes v WHERE v.option_id = o.id) AS votes,
+       EXISTS (SELECT 1 FROM poll_votes v WHERE v.option_id = o.id AND v.user_id = ?) AS selected
+     FROM poll_options o
+     WHERE o.poll_id = ?
+     ORDER BY o.position`,
+    [user_id, poll.id]
+  );
+  const { voters } = await db.get(
+    "SELECT COUNT(DISTINCT user_id) AS voters FROM poll_votes WHERE poll_id = ?",
+    poll.id
+  );
+  return {
+    ...poll,
+    multiple_choice: Boolean(poll.multiple_choice),
+    voters: voters,
+    has_voted: options.some((option) => option.selected),
+    options: options.map((option) => ({ ...option, selected: Boolean(option.selected) }))
+  };
+}
+
+// The labels of the options a user voted for, in the poll's order
+async function getBallotLabels(poll_id, user_id) {
+  const rows = await db.all(
+    `SELECT o.label FROM poll_votes v
+     JOIN poll_options o ON v.option_id = o.id
+     WHERE v.poll_id = ? AND v.user_id = ?
+     ORDER BY o.position`,
+    [poll_id, user_id]
+  );
+  return rows.map((row) => row.label);
+}
+
+// Delete the polls matching a condition on the polls table, with their options and votes
+async function deletePollRows(condition, value) {
+  const pollIds = `SELECT id FROM polls WHERE ${condition}`;
+  await db.run(`DELETE FROM poll_votes WHERE poll_id IN (${pollIds})`, value);
+  await db.run(`DELETE FROM poll_options WHERE poll_id IN (${pollIds})`, value);
+  await db.run(`DELETE FROM polls WHERE ${condition}`, value);
+}
+
+/**
+ * Queue a message about an event for some users, one outbox row per user and transport
+ *
+ * Users need id, username, email and locale, transports that need an email skip users without one
+ * and each user gets the message in their own language
+ * Reminders get a dedupe key, so each one is only queued once for each event date
+ * Called in the same transaction as the change it announces, returns the number of rows queued
+ */
+async function queueNotifications(kind, event, users, details = {}) {
+  const transportNames = notifications.readSettings().transports;
+  if (!transportNames.length || !users.length) return 0;
+
+  const now = new Date().toISOString();
+  let queued = 0;
+  for (const user of users) {
+    const { subject, body } = notifications.buildMessage(kind, event, details, i18n.pickLocale(user.locale));
+    for (const name of transportNames) {
+      const transport = transports.TRANSPORTS[name];
+      if (!transport || (transport.needsEmail && !user.email)) continue;
+      const payload = {
+        event: { id: event.id, name: event.name, date: event.date, location: event.location, type: event.type },
+        user: { id: user.id, username: user.username, email: user.email || null },
+        ...details
+      };
+      const dedupeKey = kind === "event.reminder" ? `${kind}:${event.id}:${event.date}:${user.id}:${name}` : null;
+      const result = await db.run(
+        `INSERT OR IGNORE INTO notification_outbox
+          (kind, event_id, user_id, transport, recipient, subject, body, payload_json, next_attempt_at, dedupe_key, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          kind, event.id, user.id, name, transport.needsEmail ? user.email : null,
+          subject, body, JSON.stringify(payload), now, dedupeKey, now
+        ]
+      );
+      queued += result.changes;
+    }
+  }
+  return queued;
+}
+
+// Enabled user accounts who can see an event, they hear about it when it's new
+async function getNotifiedUsers(event_id) {
+  return await db.all(
+    `SELECT u.id, u.username, u.email, u.locale
+     FROM users u
+     JOIN events e ON e.id = ?
+     WHERE u.role = 'user' AND u.disabled = 0 AND ${visibilityCondition("u.id")}`,
+    event_id
+  );
+}
+
+// Enabled users with one of the statuses for an event, as long as they can still see it
+async function getEventRecipients(event_id, statuses) {
+  return await db.all(
+    `SELECT u.id, u.username, u.email, u.locale
+     FROM event_participants ep
+     JOIN users u ON ep.user_id = u.id
+     JOIN events e ON ep.event_id = e.id
+     WHERE ep.event_id = ? AND u.disabled = 0 AND ep.status IN (${statuses.map(() => "?").join(", ")})
+       AND ${visibilityCondition("u.id")}`,
+    [event_id, ...statuses]
+  );
+}
+
+// Tell the participants of an event when its date or location has changed
+async function queueChangeNotifications(before, after) {
+  const changes = notifications.describeChanges(before, after);
+  if (!changes.length) return;
+  const recipients = await getEventRecipients(after.id, notifications.CHANGE_RECIPIENT_STATUSES);
+  await queueNotifications("event.changed", after, recipients, { changes: changes });
+}
+
+// ORDER BY clauses for the event sort options, the id keeps the order stable
+const EVENT_SORT_ORDERS = {
+  date: "e.date ASC, e.id ASC",
+  "-date": "e.date DESC, e.id DESC",
+  name: "e.name COLLATE NOCASE ASC, e.id ASC",
+  "-name": "e.name COLLATE NOCASE DESC, e.id DESC",
+  type: "e.type ASC, e.date ASC, e.id ASC",
+  "-type": "e.type DESC, e.date ASC, e.id ASC",
+  location: "e.location COLLATE NOCASE ASC, e.date ASC, e.id ASC",
+  "-location": "e.location COLLATE NOCASE DESC, e.date ASC, e.id ASC"
+};
+
+// Escape % and _ so text searches match them literally
+function likePattern(text) {
+  return "%" + text.replace(/[\\%_]/g, (char) => "\\" + char) + "%";
+}
+
+/**
+ * SQL condition for the events a user can see: public ones, ones for a group
+ * the user is in and ones the user is invited to
+ *
+ * User is a column like u.id, or ? with the user id passed twice
+ */
+function visibilityCondition(user) {
+  return `(
+    e.visibility = 'public'
+    OR (e.visibility = 'groups' AND EXISTS (
+      SELECT 1 FROM event_groups eg
+      JOIN user_group_members gm ON gm.group_id = eg.group_id
+      WHERE eg.event_id = e.id AND gm.user_id = ${user}
+    ))
+    OR (e.visibility = 'invite' AND EXISTS (
+      SELECT 1 FROM event_invites ei WHERE ei.event_id = e.id AND ei.user_id = ${user}
+    ))
+  )`;
+}
+
+/**
+ * Build the WHERE clause for the event filters read by src/event-filters.js
+ *
+ * Returns { where, params }
+ */
+function buildEventFilters(filters) {
+  // Archived events are only listed when filters.archived asks for them
+  const conditions = [filters.archived ? "e.archived_at IS NOT NULL" : "e.archived_at IS NULL"];
+  const params = [];
+  if (filters.q) {
+    conditions.push("e.name LIKE ? ESCAPE '\\'");
+    params.push(likePattern(filters.q));
+  }
+  if (filters.type) {
+    conditions.push("e.type = ?");
+    params.push(filters.type);
+  }
+  if (filters.location) {
+    conditions.push("e.location LIKE ? ESCAPE '\\'");
+    params.push(likePattern(filters.location));
+  }
+  if (filters.from) {
+    conditions.push("e.date >= ?");
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push("e.date <= ?");
+    params.push(filters.to);
+  }
+  if (filters.series_id) {
+    conditions.push("e.series_id = ?");
+    params.push(filters.series_id);
+  }
+  // Only the events this user can see, set for everyone but admins
+  if (filters.visible_to) {
+    conditions.push(visibilityCondition("?"));
+    params.push(filters.visible_to, filters.visible_to);
+  }
+  if (filters.when === "upcoming") {
+    conditions.push("e.date >= ?");
+    params.push(filters.today);
+  } else if (filters.when === "past") {
+    conditions.push("e.date < ?");
+    params.push(filters.today);
+  }
+  return { where: "WHERE " + conditions.join(" AND "), params };
+}
+
+/**
+ * Replace the groups or invited users an event is for
+ *
+ * Takes group_ids and invited_user_ids from src/audience.js, ids that don't exist are skipped
+ * Must be called inside a transaction
+ */
+async function saveAudience(eventId, event) {
+  await db.run("DELETE FROM event_groups WHERE event_id = ?", eventId);
+  await db.run("DELETE FROM event_invites WHERE event_id = ?", eventId);
+  for (const groupId of event.group_ids || []) {
+    await db.run("INSERT INTO event_groups (event_id, group_id) SELECT ?, id FROM user_groups WHERE id = ?", [eventId, groupId]);
+  }
+  for (const userId of event.invited_user_ids || []) {
+    await db.run("INSERT INTO event_invites (event_id, user_id) SELECT ?, id FROM users WHERE id = ?", [eventId, userId]);
+  }
+}
+
+/**
+ * Delete an event for good with its participants, polls, audience and unsent notifications
+ *
+ * The audit log keeps the purged event and the history of its participants
+ * Must be called inside a transaction, before is the event row
+ */
+async function purgeEventRows(before, actor) {
+  await db.run("DELETE FROM event_participants WHERE event_id = ?", before.id);
+  await deletePollRows("event_id = ?", before.id);
+  await db.run("DELETE FROM event_groups WHERE event_id = ?", before.id);
+  await db.run("DELETE FROM event_invites WHERE event_id = ?", before.id);
+  await db.run("DELETE FROM notification_outbox WHERE event_id = ? AND status = 'pending'", before.id);
+  const result = await db.run("DELETE FROM events WHERE id = ?", before.id);
+  await recordAudit(actor, "event.purged", { event_id: before.id, before: before });
+  return result.changes;
+}
+
+/**
+ * Insert an event row, optionally as an occurrence of a series
+ *
+ * Must be called inside a transaction, records the new event in the audit log
+ */
+async function insertEvent(event, seriesId, actor) {
+  const result = await db.run(
+    `INSERT INTO events (
+      name, date, location, type, custom_fields_schema_json,
+      max_attendees, registration_opens_at, registration_closes_at, updated_at, series_id, visibility
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      event.name, event.date, event.location, event.type, event.custom_fields_schema_json,
+      event.max_attendees, event.registration_opens_at, event.registration_closes_at,
+      new Date().toISOString(), seriesId, event.visibility || "public"
+    ]
+  );
+  await saveAudience(result.lastID, event);
+  await recordAudit(actor, "event.created", {
+    event_id: result.lastID,
+    after: await db.get("SELECT * FROM events WHERE id = ?", result.lastID)
+  });
+  return result.lastID;
+}
+
+// Get a waitlisted participant's place in the queue, starting from 1
+async function getWaitlistPosition(participant) {
+  const { position } = await db.get(
+    `SELECT COUNT(*) AS position FROM event_participants
+     WHERE event_id = ? AND status = ?
+       AND (waitlisted_at < ? OR (waitlisted_at = ? AND id <= ?))`,
+    [participant.event_id, STATUS_WAITLISTED, participant.waitlisted_at, participant.waitlisted_at, participant.id]
+  );
+  return position;
+}
+
+// Our server script will call these methods to connect to the db
+module.exports = {
+  /**
+   * Resolves when the database is ready to use, or rejects if the migrations failed
+   */
+  ready: ready,
+
+  /**
+   * Get a user by username
+   */
+  getUserByUsername: async (username) => {
+    try {
+      return await db.get("SELECT * FROM users WHERE username = ?", username);
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get a user by id
+   */
+  getUserById: async (id) => {
+    try {
+      return await db.get("SELECT * FROM users WHERE id = ?", id);
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get all user accounts, without their password hashes
+   */
+  getAllUsers: async () => {
+    try {
+      return await db.all("SELECT id, username, email, role, disabled, must_change_password FROM users ORDER BY username");
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Add a new user with a hashed password
+   *
+   * Users created with a password someone else chose should be made to change it
+   */
+  addUser: async (username, password, role, mustChangePassword) => {
+    try {
+      const passwordHash = await bcrypt.hash(password, 10);
+      const result = await db.run(
+        "INSERT INTO users (username, password_hash, role, must_change_password) VALUES (?, ?, ?, ?)",
+        [username, passwordHash, role, mustChangePassword ? 1 : 0]
+      );
+      return result.lastID;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Change the role of a user
+   */
+  updateUserRole: async (id, role) => {
+    try {
+      const result = await db.run("UPDATE users SET role = ? WHERE id = ?", [role, id]);
+      return result.changes;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Disable or enable a user account
+   */
+  setUserDisabled: async (id, disabled) => {
+    try {
+      const result = await db.run(
+        "UPDATE users SET disabled = ? WHERE id = ?",
+        [disabled ? 1 : 0, id]
+      );
+      return result.changes;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Replace a user's password with one set by an admin
+   *
+   * The user has to change it again the next time they log in
+   */
+  resetUserPassword: async (id, password) => {
+    try {
+      const passwordHash = await bcrypt.hash(password, 10);
+      const result = await db.run(
+        "UPDATE users SET password_hash = ?, must_change_password = 1 WHERE id = ?",
+        [passwordHash, id]
+      );
+      return result.changes;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Replace a user's password with one they chose themselves
+   */
+  changeUserPassword: async (id, password) => {
+    try {
+      const passwordHash = await bcrypt.hash(password, 10);
+      const result = await db.run(
+        "UPDATE users SET password_hash = ?, must_change_password = 0 WHERE id = ?",
+        [passwordHash, id]
+      );
+      return result.changes;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Add the users from an import, all of them or none
+   *
+   * Each user has username, role, email, and either a password they have to change when they
+   * first log in or an invite_token_hash and invite_expires_at for choosing their own
+   * Returns the new user ids, in order
+   */
+  importUsers: async (users) => {
+    try {
+      // Hash before the transaction starts, bcrypt is slow and would hold up every other write
+      const hashes = await Promise.all(users.map(
+        (user) => bcrypt.hash(user.password || crypto.randomBytes(32).toString("hex"), 10)
+      ));
+      return await withTransaction(async () => {
+        const ids = [];
+        for (const [index, user] of users.entries()) {
+          const result = await db.run(
+            `INSERT INTO users (username, password_hash, role, must_change_password, email, invite_token_hash, invite_expires_at)
+             VALUES (?, ?, ?, 1, ?, ?, ?)`,
+            [user.username, hashes[index], user.role, user.email, user.invite_token_hash || null, user.invite_expires_at || null]
           );
-          
-          const user3PasswordHash = await bcrypt.hash("123456", 10);
+          ids.push(result.lastID);
+        }
+        return ids;
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get the enabled user an invite token belongs to, if the invite hasn't expired
+   */
+  getUserByInviteToken: async (tokenHash, now) => {
+    try {
+      return await db.get(
+        "SELECT * FROM users WHERE invite_token_hash = ? AND invite_expires_at > ? AND disabled = 0",
+        [tokenHash, now]
+      );
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Set the password an invited user chose, which uses up the invite
+   */
+  acceptInvite: async (id, password) => {
+    try {
+      const passwordHash = await bcrypt.hash(password, 10);
+      const result = await db.run(
+        `UPDATE users SET password_hash = ?, must_change_password = 0, invite_token_hash = NULL, invite_expires_at = NULL
+         WHERE id = ? AND invite_token_hash IS NOT NULL`,
+        [passwordHash, id]
+      );
+      return result.changes;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get the user groups with their members, as { id, name, members: [{ id, username }] }
+   */
+  getGroups: async () => {
+    try {
+      const groups = await db.all("SELECT * FROM user_groups ORDER BY name");
+      const members = await db.all(`
+        SELECT gm.group_id, u.id, u.username
+        FROM user_group_members gm
+        JOIN users u ON gm.user_id = u.id
+        ORDER BY u.username
+      `);
+      return groups.map((group) => ({
+        ...group,
+        members: members
+          .filter((member) => member.group_id === group.id)
+          .map((member) => ({ id: member.id, username: member.username }))
+      }));
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get a user group by name
+   */
+  getGroupByName: async (name) => {
+    try {
+      return await db.get("SELECT * FROM user_groups WHERE name = ?", name);
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Add a user group, returns its id
+   */
+  addGroup: async (name) => {
+    try {
+      const result = await db.run(
+        "INSERT INTO user_groups (name, created_at) VALUES (?, ?)",
+        [name, new Date().toISOString()]
+      );
+      return result.lastID;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Delete a user group
+   *
+   * Events only for this group are left with the groups they have left, or nobody but admins
+   */
+  deleteGroup: async (id) => {
+    try {
+      return await withTransaction(async () => {
+        await db.run("DELETE FROM user_group_members WHERE group_id = ?", id);
+        await db.run("DELETE FROM event_groups WHERE group_id = ?", id);
+        const result = await db.run("DELETE FROM user_groups WHERE id = ?", id);
+        return result.changes;
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Add a user to a group, adding someone who is already a member changes nothing
+   */
+  addGroupMember: async (group_id, user_id) => {
+    try {
+      await db.run("INSERT OR IGNORE INTO user_group_members (group_id, user_id) VALUES (?, ?)", [group_id, user_id]);
+      return true;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Remove a user from a group
+   */
+  removeGroupMember: async (group_id, user_id) => {
+    try {
+      const result = await db.run("DELETE FROM user_group_members WHERE group_id = ? AND user_id = ?", [group_id, user_id]);
+      return result.changes;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get the groups and invited users an event is for, as { group_ids, invited_user_ids }
+   */
+  getEventAudience: async (event_id) => {
+    try {
+      const groups = await db.all("SELECT group_id FROM event_groups WHERE event_id = ? ORDER BY group_id", event_id);
+      const invites = await db.all("SELECT user_id FROM event_invites WHERE event_id = ? ORDER BY user_id", event_id);
+      return {
+        group_ids: groups.map((row) => row.group_id),
+        invited_user_ids: invites.map((row) => row.user_id)
+      };
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Set or clear the email address notifications are sent to
+   */
+  setUserEmail: async (id, email) => {
+    try {
+      const result = await db.run("UPDATE users SET email = ? WHERE id = ?", [email || null, id]);
+      return result.changes;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Set or clear the language a user sees the pages in, cleared follows the browser
+   */
+  setUserLocale: async (id, locale) => {
+    try {
+      const result = await db.run("UPDATE users SET locale = ? WHERE id = ?", [locale || null, id]);
+      return result.changes;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get the enabled user a calendar feed token belongs to
+   */
+  getUserByCalendarToken: async (token) => {
+    try {
+      return await db.get("SELECT * FROM users WHERE calendar_token = ? AND disabled = 0", token);
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Set or clear (with null) a user's calendar feed token
+   */
+  setCalendarToken: async (id, token) => {
+    try {
+      const result = await db.run("UPDATE users SET calendar_token = ? WHERE id = ?", [token, id]);
+      return result.changes;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Add an API token for a user
+   *
+   * Only the hash of the token is stored, expires_at is null for tokens that don't expire
+   */
+  addApiToken: async (user_id, name, tokenHash, scope, expiresAt) => {
+    try {
+      const result = await db.run(
+        "INSERT INTO api_tokens (user_id, name, token_hash, scope, expires_at, created_at) VALUES (?, ?, ?, ?, ?, ?)",
+        [user_id, name, tokenHash, scope, expiresAt, new Date().toISOString()]
+      );
+      return result.lastID;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get a user's API tokens, without the hashes
+   */
+  getApiTokensByUserId: async (user_id) => {
+    try {
+      return await db.all(
+        "SELECT id, name, scope, expires_at, created_at, last_used_at FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC",
+        user_id
+      );
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get the token with a hash, together with the account it belongs to
+   */
+  getApiTokenByHash: async (tokenHash) => {
+    try {
+      return await db.get(
+        `SELECT
+          t.id, t.user_id, t.name, t.scope, t.expires_at,
+          u.username, u.role, u.disabled, u.must_change_password, u.locale
+        FROM api_tokens t
+        JOIN users u ON t.user_id = u.id
+        WHERE t.token_hash = ?`,
+        tokenHash
+      );
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Record that a token has just been used
+   */
+  touchApiToken: async (id) => {
+    try {
+      await db.run("UPDATE api_tokens SET last_used_at = ? WHERE id = ?", [new Date().toISOString(), id]);
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Revoke one of a user's API tokens
+   */
+  deleteApiToken: async (id, user_id) => {
+    try {
+      const result = await db.run("DELETE FROM api_tokens WHERE id = ? AND user_id = ?", [id, user_id]);
+      return result.changes;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get a setting value, or the fallback if it has never been set
+   */
+  getSetting: async (key, fallback) => {
+    try {
+      const row = await db.get("SELECT value FROM settings WHERE key = ?", key);
+      return row ? row.value : fallback;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Save a setting value
+   */
+  setSetting: async (key, value) => {
+    try {
+      await db.run(
+        "INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value",
+        [key, String(value)]
+      );
+      return true;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Add a new event
+   *
+   * The event object has the same properties as the events table columns
+   * Actor is the logged in user making the change, for the audit log
+   * Users who can see the event are notified about it
+   */
+  addEvent: async (event, actor) => {
+    try {
+      return await withTransaction(async () => {
+        const eventId = await insertEvent(event, null, actor);
+        await queueNotifications("event.created", { ...event, id: eventId }, await getNotifiedUsers(eventId));
+        return eventId;
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Update an existing event
+   *
+   * Raising or removing the attendee limit promotes users from the waitlist
+   * The revision goes up so calendar feeds pick up the change
+   * The audit log gets the event as it was before and after
+   * Participants are notified when the date or location changes
+   * An occurrence of a series edited here keeps its changes when the whole series is edited later
+   * Answers are carried over to the new custom fields, see src/schema-changes.js
+   */
+  updateEvent: async (id, event, actor) => {
+    try {
+      return await withTransaction(async () => {
+        const before = await db.get("SELECT * FROM events WHERE id = ?", id);
+        if (!before) return 0;
+        await carryAnswersOver(before, event, actor);
+        const result = await db.run(
+          `UPDATE events SET
+            name = ?, date = ?, location = ?, type = ?, custom_fields_schema_json = ?,
+            max_attendees = ?, registration_opens_at = ?, registration_closes_at = ?, visibility = ?,
+            updated_at = ?, revision = revision + 1,
+            series_exception = CASE WHEN series_id IS NULL THEN 0 ELSE 1 END
+          WHERE id = ?`,
+          [
+            event.name, event.date, event.location, event.type, event.custom_fields_schema_json,
+            event.max_attendees, event.registration_opens_at, event.registration_closes_at,
+            event.visibility || "public", new Date().toISOString(), id
+          ]
+        );
+        await saveAudience(before.id, event);
+        const after = await db.get("SELECT * FROM events WHERE id = ?", id);
+        await recordAudit(actor, "event.updated", { event_id: before.id, before: before, after: after });
+        await queueChangeNotifications(before, after);
+        await promoteWaitlisted(before.id, actor);
+        return result.changes;
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Add a series of events on the given dates, all sharing the other event details
+   *
+   * Rule is the recurrence rule from src/recurrence.js, kept with the series
+   * Users get one notification about the new series
+   * Returns { series_id, event_ids }
+   */
+  addEventSeries: async (event, rule, dates, actor) => {
+    try {
+      return await withTransaction(async () => {
+        const series = await db.run(
+          "INSERT INTO event_series (frequency, interval, until, count, created_at) VALUES (?, ?, ?, ?, ?)",
+          [rule.frequency, rule.interval, rule.until, rule.count, new Date().toISOString()]
+        );
+        const eventIds = [];
+        for (const date of dates) {
+          eventIds.push(await insertEvent({ ...event, date: date }, series.lastID, actor));
+        }
+        // One message for the whole series rather than one per occurrence
+        await queueNotifications(
+          "event.created",
+          { ...event, id: eventIds[0], date: dates[0] },
+          await getNotifiedUsers(eventIds[0]),
+          { series_id: series.lastID, occurrences: dates.length }
+        );
+        return { series_id: series.lastID, event_ids: eventIds };
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Add the events from an import, all of them or none
+   *
+   * Each event is audited and announced like one added on the admin page
+   * Returns the new event ids, in order
+   */
+  importEvents: async (events, actor) => {
+    try {
+      return await withTransaction(async () => {
+        const ids = [];
+        for (const event of events) {
+          const eventId = await insertEvent(event, null, actor);
+          await queueNotifications("event.created", { ...event, id: eventId }, await getNotifiedUsers(eventId));
+          ids.push(eventId);
+        }
+        return ids;
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get the id, name and date of the events on some dates, to spot imported events that already exist
+   */
+  getEventsOnDates: async (dates) => {
+    try {
+      if (!dates.length) return [];
+      return await db.all(
+        `SELECT id, name, date FROM events WHERE archived_at IS NULL AND date IN (${dates.map(() => "?").join(", ")})`,
+        dates
+      );
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get a series and its recurrence rule
+   */
+  getEventSeriesById: async (id) => {
+    try {
+      return await db.get("SELECT * FROM event_series WHERE id = ?", id);
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Update the whole series from a date onwards
+   *
+   * Changes the name, location, type, custom fields, attendee limit and audience of every occurrence
+   * on or after fromDate, except the ones edited on their own
+   * Dates and registration times stay as they are on each occurrence
+   * Answers are carried over to the new custom fields like in updateEvent
+   * Returns the ids of the updated events
+   */
+  updateEventSeries: async (series_id, event, fromDate, actor) => {
+    try {
+      return await withTransaction(async () => {
+        const occurrences = await db.all(
+          "SELECT * FROM events WHERE series_id = ? AND series_exception = 0 AND archived_at IS NULL AND date >= ? ORDER BY date, id",
+          [series_id, fromDate]
+        );
+        for (const before of occurrences) {
+          await carryAnswersOver(before, event, actor);
           await db.run(
-            "INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)",
-            ["user3", user3PasswordHash, "user"]
+            `UPDATE events SET
+              name = ?, location = ?, type = ?, custom_fields_schema_json = ?, max_attendees = ?,
+              visibility = ?, updated_at = ?, revision = revision + 1
+            WHERE id = ?`,
+            [
+              event.name, event.location, event.type, event.custom_fields_schema_json, event.max_attendees,
+              event.visibility || "public", new Date().toISOString(), before.id
+            ]
           );
-
-          console.log("Database initialized with default tables and users.");
+          await saveAudience(before.id, event);
+          const after = await db.get("SELECT * FROM events WHERE id = ?", before.id);
+          await recordAudit(actor, "event.updated", { event_id: before.id, before: before, after: after });
+          await queueChangeNotifications(before, after);
+          await promoteWaitlisted(before.id, actor);
         }
+        return occurrences.map((occurrence) => occurrence.id);
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
 
-        console.log("Database initialized with default tables and users.");
-      } catch (dbError) {
-        console.error(dbError);
-      }
-    });
-}
+  /**
+   * Move an event to the archive
+   *
+   * Archived events are left out of every event list and can't be seen or answered,
+   * but keep their participants, polls and audience until they're restored or purged
+   * Returns 0 when there is no such event outside the archive
+   */
+  archiveEvent: async (id, actor) => {
+    try {
+      return await withTransaction(async () => {
+        const before = await db.get("SELECT * FROM events WHERE id = ? AND archived_at IS NULL", id);
+        if (!before) return 0;
+        const result = await db.run(
+          "UPDATE events SET archived_at = ?, archived_by = ?, updated_at = ?, revision = revision + 1 WHERE id = ?",
+          [new Date().toISOString(), actor ? actor.user_id : null, new Date().toISOString(), before.id]
+        );
+        // Reminders and change messages about the event are no use any more
+        await db.run("DELETE FROM notification_outbox WHERE event_id = ? AND status = 'pending'", before.id);
+        const after = await db.get("SELECT * FROM events WHERE id = ?", before.id);
+        await recordAudit(actor, "event.archived", { event_id: before.id, before: before, after: after });
+        return result.changes;
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
 
-  initializeDatabase();
+  /**
+   * Bring an event back from the archive, with its participants as they were
+   *
+   * Returns 0 when the event isn't in the archive
+   */
+  restoreEvent: async (id, actor) => {
+    try {
+      return await withTransaction(async () => {
+        const before = await db.get("SELECT * FROM events WHERE id = ? AND archived_at IS NOT NULL", id);
+        if (!before) return 0;
+        const result = await db.run(
+          "UPDATE events SET archived_at = NULL, archived_by = NULL, updated_at = ?, revision = revision + 1 WHERE id = ?",
+          [new Date().toISOString(), before.id]
+        );
+        const after = await db.get("SELECT * FROM events WHERE id = ?", before.id);
+        await recordAudit(actor, "event.restored", { event_id: before.id, before: before, after: after });
+        return result.changes;
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Delete an archived event for good, see purgeEventRows
+   *
+   * Only events in the archive can be purged, returns 0 for any other
+   */
+  purgeEvent: async (id, actor) => {
+    try {
+      return await withTransaction(async () => {
+        const before = await db.get("SELECT * FROM events WHERE id = ? AND archived_at IS NOT NULL", id);
+        return before ? await purgeEventRows(before, actor) : 0;
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
 
-// Our server script will call these methods to connect to the db
-module.exports = {
   /**
-   * Get a user by username
+   * Purge the events archived before a time, for the automatic purge in src/archive.js
+   *
+   * Returns how many events were purged
    */
-  getUserByUsername: async (username) => {
+  purgeArchivedEvents: async (archivedBefore) => {
     try {
-      return await db.get("SELECT * FROM users WHERE username = ?", username);
+      return await withTransaction(async () => {
+        const events = await db.all(
+          "SELECT * FROM events WHERE archived_at IS NOT NULL AND archived_at < ?",
+          archivedBefore
+        );
+        for (const event of events) await purgeEventRows(event, null);
+        return events.length;
+      });
     } catch (dbError) {
       console.error(dbError);
     }
   },
 
   /**
-   * Get the options in the database
+   * Get the archived events, most recently archived first, with who archived them and their response counts
    */
-  getOptions: async () => {
-    // We use a try catch block in case of db errors
+  getArchivedEvents: async () => {
     try {
-      return await db.all("SELECT * from Choices");
+      return await db.all(`
+        SELECT
+          e.*,
+          u.username AS archived_by_username,
+          (SELECT COUNT(*) FROM event_participants ep WHERE ep.event_id = e.id) AS response_count
+        FROM events e
+        LEFT JOIN users u ON e.archived_by = u.id
+        WHERE e.archived_at IS NOT NULL
+        ORDER BY e.archived_at DESC, e.id DESC
+      `);
     } catch (dbError) {
       console.error(dbError);
     }
   },
 
   /**
-   * Add a new event
+   * Get an event by id, with its attending and waitlisted counts
+   *
+   * Pass a user id as visibleTo to only get the event if that user can see it
+   * Archived events are only found with archived set to true
    */
-  addEvent: async (name, date, location, type, custom_fields_schema_json) => {
+  getEventById: async (id, visibleTo = null, archived = false) => {
     try {
-      const result = await db.run(
-        "INSERT INTO events (name, date, location, type, custom_fields_schema_json) VALUES (?, ?, ?, ?, ?)",
-        [name, date, location, type, custom_fields_schema_json]
-      );
-      return result.lastID;
+      return await db.get(`
+        SELECT
+          e.*,
+          (SELECT COUNT(*) FROM event_participants ep WHERE ep.event_id = e.id AND ep.status = ?) AS confirmed_count,
+          (SELECT COUNT(*) FROM event_participants ep WHERE ep.event_id = e.id AND ep.status = ?) AS waitlisted_count
+        FROM events e
+        WHERE e.id = ? AND e.archived_at IS ${archived ? "NOT NULL" : "NULL"}${visibleTo ? ` AND ${visibilityCondition("?")}` : ""}
+      `, visibleTo ? [STATUS_ATTENDING, STATUS_WAITLISTED, id, visibleTo, visibleTo] : [STATUS_ATTENDING, STATUS_WAITLISTED, id]);
     } catch (dbError) {
       console.error(dbError);
     }
   },
 
   /**
-   * Update an existing event
+   * Get events with their attending and waitlisted counts
+   *
+   * Filters come from src/event-filters.js and are all optional, without them every event is returned
+   * Set filters.visible_to to a user id to only get the events that user can see
+   * Events are sorted by date, past events newest first, unless filters.sort picks another order
+   * Pass limit and offset to get one page of the results
    */
-  updateEvent: async (id, name, date, location, type, custom_fields_schema_json) => {
+  getAllEvents: async (filters = {}, { limit = -1, offset = 0 } = {}) => {
+    const { where, params } = buildEventFilters(filters);
+    const sort = filters.sort || (filters.when === "past" ? "-date" : "date");
     try {
-      const result = await db.run(
-        "UPDATE events SET name = ?, date = ?, location = ?, type = ?, custom_fields_schema_json = ? WHERE id = ?",
-        [name, date, location, type, custom_fields_schema_json, id]
-      );
-      return result.changes;
+      return await db.all(`
+        SELECT
+          e.*,
+          (SELECT COUNT(*) FROM event_participants ep WHERE ep.event_id = e.id AND ep.status = ?) AS confirmed_count,
+          (SELECT COUNT(*) FROM event_participants ep WHERE ep.event_id = e.id AND ep.status = ?) AS waitlisted_count
+        FROM events e
+        ${where}
+        ORDER BY ${EVENT_SORT_ORDERS[sort] || EVENT_SORT_ORDERS.date}
+        LIMIT ? OFFSET ?
+      `, [STATUS_ATTENDING, STATUS_WAITLISTED, ...params, limit, offset]);
     } catch (dbError) {
       console.error(dbError);
     }
   },
 
   /**
-   * Delete an event and its participants
+   * Count the events matching the same filters as getAllEvents
    */
-  deleteEvent: async (id) => {
+  countEvents: async (filters = {}) => {
+    const { where, params } = buildEventFilters(filters);
     try {
-      await db.run("DELETE FROM event_participants WHERE event_id = ?", id);
-      const result = await db.run("DELETE FROM events WHERE id = ?", id);
-      return result.changes;
+      const { count } = await db.get(`SELECT COUNT(*) AS count FROM events e ${where}`, params);
+      return count;
     } catch (dbError) {
       console.error(dbError);
     }
   },
 
   /**
-   * Get all events
+   * Get the event types in use, for the type filter
    */
-  getAllEvents: async () => {
+  getEventTypes: async () => {
     try {
-      return await db.all("SELECT * FROM events");
+      const rows = await db.all("SELECT DISTINCT type FROM events WHERE archived_at IS NULL ORDER BY type");
+      return rows.map((row) => row.type);
     } catch (dbError) {
       console.error(dbError);
     }
@@ -220,21 +1257,27 @@ module.exports = {
 
   /**
    * Get all participants with event details
+   *
+   * Only the participants of events outside the archive, or of archived events with archived set to true
    */
-  getAllParticipantsWithEventDetails: async () => {
+  getAllParticipantsWithEventDetails: async (archived = false) => {
     try {
       return await db.all(`
         SELECT
           ep.id AS participant_id,
+          ep.event_id,
+          ep.user_id,
           e.name AS event_name,
           e.date AS event_date,
           e.location AS event_location,
           u.username AS participant_username,
           ep.status,
-          ep.custom_field_values_json
+          ep.custom_field_values_json,
+          ep.archived_values_json
         FROM event_participants ep
         JOIN events e ON ep.event_id = e.id
         JOIN users u ON ep.user_id = u.id
+        WHERE e.archived_at IS ${archived ? "NOT NULL" : "NULL"}
       `);
     } catch (dbError) {
       console.error(dbError);
@@ -243,27 +1286,206 @@ module.exports = {
 
   /**
    * Add or update a participant's status for an event
+   *
+   * Attending users go on the waitlist when the event is full, and keep their
+   * place if they were already attending or waitlisted
+   * When an attending user declines, the first waitlisted user is promoted
+   * Actor is the logged in user making the change - the user themselves or an admin
+   * Returns the saved status, the waitlist position and the promoted user ids
    */
-  addOrUpdateParticipant: async (event_id, user_id, status, custom_field_values_json) => {
+  addOrUpdateParticipant: async (event_id, user_id, status, custom_field_values_json, actor) => {
     try {
-      const existingParticipant = await db.get(
-        "SELECT * FROM event_participants WHERE event_id = ? AND user_id = ?",
-        [event_id, user_id]
-      );
+      return await withTransaction(async () => {
+        const event = await db.get("SELECT max_attendees FROM events WHERE id = ?", event_id);
+        if (!event) return undefined;
 
-      if (existingParticipant) {
-        const result = await db.run(
-          "UPDATE event_participants SET status = ?, custom_field_values_json = ? WHERE event_id = ? AND user_id = ?",
-          [status, custom_field_values_json, event_id, user_id]
+        const existingParticipant = await db.get(
+          "SELECT * FROM event_participants WHERE event_id = ? AND user_id = ?",
+          [event_id, user_id]
         );
-        return result.changes;
-      } else {
+
+        let savedStatus = status;
+        let waitlistedAt = null;
+        if (status === STATUS_ATTENDING) {
+          if (existingParticipant && existingParticipant.status === STATUS_WAITLISTED) {
+            savedStatus = STATUS_WAITLISTED;
+            waitlistedAt = existingParticipant.waitlisted_at;
+          } else if (!existingParticipant || existingParticipant.status !== STATUS_ATTENDING) {
+            const { confirmed } = await db.get(
+              "SELECT COUNT(*) AS confirmed FROM event_participants WHERE event_id = ? AND status = ?",
+              [event_id, STATUS_ATTENDING]
+            );
+            if (event.max_attendees !== null && confirmed >= event.max_attendees) {
+              savedStatus = STATUS_WAITLISTED;
+              waitlistedAt = new Date().toISOString();
+            }
+          }
+        }
+
+        let participantId;
+        if (existingParticipant) {
+          await db.run(
+            "UPDATE event_participants SET status = ?, custom_field_values_json = ?, waitlisted_at = ? WHERE id = ?",
+            [savedStatus, custom_field_values_json, waitlistedAt, existingParticipant.id]
+          );
+          participantId = existingParticipant.id;
+        } else {
+          const result = await db.run(
+            "INSERT INTO event_participants (event_id, user_id, status, custom_field_values_json, waitlisted_at) VALUES (?, ?, ?, ?, ?)",
+            [event_id, user_id, savedStatus, custom_field_values_json, waitlistedAt]
+          );
+          participantId = result.lastID;
+        }
+
+        await recordAudit(actor, "participation.changed", {
+          event_id: event_id,
+          subject_user_id: user_id,
+          before: participationSnapshot(existingParticipant),
+          after: participationSnapshot({ status: savedStatus, custom_field_values_json: custom_field_values_json })
+        });
+
+        // A place has opened up if this user was attending before
+        const promoted = existingParticipant && existingParticipant.status === STATUS_ATTENDING && savedStatus !== STATUS_ATTENDING
+          ? await promoteWaitlisted(event_id, actor)
+          : [];
+
+        const waitlistPosition = savedStatus === STATUS_WAITLISTED
+          ? await getWaitlistPosition({ id: participantId, event_id: event_id, waitlisted_at: waitlistedAt })
+          : null;
+
+        return {
+          participant_id: participantId,
+          status: savedStatus,
+          waitlist_position: waitlistPosition,
+          promoted_user_ids: promoted,
+        };
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get everyone's responses to an event, with their waitlist positions
+   */
+  getParticipantsByEventId: async (event_id) => {
+    try {
+      return await db.all(`
+        SELECT
+          ep.id AS participant_id,
+          ep.event_id,
+          ep.user_id,
+          u.username,
+          ep.status,
+          ep.custom_field_values_json,
+          ep.archived_values_json,
+          ep.checked_in_at,
+          CASE WHEN ep.status = ? THEN (
+            SELECT COUNT(*) FROM event_participants w
+            WHERE w.event_id = ep.event_id AND w.status = ?
+              AND (w.waitlisted_at < ep.waitlisted_at OR (w.waitlisted_at = ep.waitlisted_at AND w.id <= ep.id))
+          ) END AS waitlist_position
+        FROM event_participants ep
+        JOIN users u ON ep.user_id = u.id
+        WHERE ep.event_id = ?
+        ORDER BY ep.id
+      `, [STATUS_WAITLISTED, STATUS_WAITLISTED, event_id]);
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get an event_participants row by id
+   */
+  getParticipantById: async (id) => {
+    try {
+      return await db.get("SELECT * FROM event_participants WHERE id = ?", id);
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Mark a participant as attended, returns 0 if they were already checked in
+   *
+   * Actor is the admin or staff member at the door, for the audit log
+   */
+  checkInParticipant: async (id, actor) => {
+    try {
+      return await withTransaction(async () => {
+        const checkedInAt = new Date().toISOString();
         const result = await db.run(
-          "INSERT INTO event_participants (event_id, user_id, status, custom_field_values_json) VALUES (?, ?, ?, ?)",
-          [event_id, user_id, status, custom_field_values_json]
+          "UPDATE event_participants SET checked_in_at = ?, checked_in_by = ? WHERE id = ? AND checked_in_at IS NULL",
+          [checkedInAt, actor.user_id, id]
         );
-        return result.lastID;
-      }
+        if (result.changes) {
+          const participant = await db.get("SELECT * FROM event_participants WHERE id = ?", id);
+          await recordAudit(actor, "participation.checked_in", {
+            event_id: participant.event_id,
+            subject_user_id: participant.user_id,
+            before: { checked_in_at: null },
+            after: { checked_in_at: checkedInAt }
+          });
+        }
+        return result.changes;
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get the confirmed participants of an event with when they checked in,
+   * those without checked_in_at haven't shown up
+   */
+  getAttendanceByEventId: async (event_id) => {
+    try {
+      return await db.all(`
+        SELECT
+          ep.id AS participant_id,
+          ep.user_id,
+          u.username,
+          u.email,
+          ep.checked_in_at,
+          staff.username AS checked_in_by
+        FROM event_participants ep
+        JOIN users u ON ep.user_id = u.id
+        LEFT JOIN users staff ON ep.checked_in_by = staff.id
+        WHERE ep.event_id = ? AND ep.status = ?
+        ORDER BY ep.checked_in_at IS NULL DESC, u.username
+      `, [event_id, STATUS_ATTENDING]);
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get a user's response to an event
+   */
+  getParticipant: async (event_id, user_id) => {
+    try {
+      return await db.get(
+        "SELECT * FROM event_participants WHERE event_id = ? AND user_id = ?",
+        [event_id, user_id]
+      );
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get the events a user has confirmed they are attending
+   */
+  getAttendingEventsByUserId: async (user_id) => {
+    try {
+      return await db.all(`
+        SELECT e.*
+        FROM event_participants ep
+        JOIN events e ON ep.event_id = e.id
+        WHERE ep.user_id = ? AND ep.status = ? AND e.archived_at IS NULL
+        ORDER BY e.date
+      `, [user_id, STATUS_ATTENDING]);
     } catch (dbError) {
       console.error(dbError);
     }
@@ -284,74 +1506,386 @@ module.exports = {
           e.type AS event_type,
           e.custom_fields_schema_json,
           ep.status,
-          ep.custom_field_values_json
+          ep.custom_field_values_json,
+          ep.archived_values_json,
+          ep.checked_in_at,
+          CASE WHEN ep.status = ? THEN (
+            SELECT COUNT(*) FROM event_participants w
+            WHERE w.event_id = ep.event_id AND w.status = ?
+              AND (w.waitlisted_at < ep.waitlisted_at OR (w.waitlisted_at = ep.waitlisted_at AND w.id <= ep.id))
+          ) END AS waitlist_position
         FROM event_participants ep
         JOIN events e ON ep.event_id = e.id
-        WHERE ep.user_id = ?
-      `, user_id);
+        WHERE ep.user_id = ? AND e.archived_at IS NULL
+      `, [STATUS_WAITLISTED, STATUS_WAITLISTED, user_id]);
     } catch (dbError) {
       console.error(dbError);
     }
   },
 
   /**
-   * Process a user vote
+   * Get audit log entries, newest first
+   *
+   * Filters are all optional:
+   * - event_id: changes to one event and its participants
+   * - user_id: changes made by or made to one user
+   * - action: one action, e.g. event.updated
+   * - from / to: YYYY-MM-DD dates, inclusive
+   * - limit: how many entries to return, 100 by default
    */
-  processVote: async vote => {
-    // Insert new Log table entry indicating the user choice and timestamp
+  getAuditLog: async (filters = {}) => {
+    const conditions = [];
+    const params = [];
+    if (filters.event_id) {
+      conditions.push("a.event_id = ?");
+      params.push(filters.event_id);
+    }
+    if (filters.user_id) {
+      conditions.push("(a.actor_user_id = ? OR a.subject_user_id = ?)");
+      params.push(filters.user_id, filters.user_id);
+    }
+    if (filters.action) {
+      conditions.push("a.action = ?");
+      params.push(filters.action);
+    }
+    if (filters.from) {
+      conditions.push("a.occurred_at >= ?");
+      params.push(new Date(`${filters.from}T00:00:00`).toISOString());
+    }
+    if (filters.to) {
+      conditions.push("a.occurred_at <= ?");
+      params.push(new Date(`${filters.to}T23:59:59.999`).toISOString());
+    }
+    params.push(filters.limit || 100);
+
     try {
-      // Check the vote is valid
-      const option = await db.all(
-        "SELECT * from Choices WHERE language = ?",
-        vote
-      );
-      if (option.length > 0) {
-        // Build the user data from the front-end and the current time into the sql query
-        await db.run("INSERT INTO Log (choice, time) VALUES (?, ?)", [
-          vote,
-          new Date().toISOString()
-        ]);
-
-        // Update the number of times the choice has been picked by adding one to it
-        await db.run(
-          "UPDATE Choices SET picks = picks + 1 WHERE language = ?",
-          vote
+      return await db.all(`
+        SELECT
+          a.*,
+          actor.username AS actor_username,
+          subject.username AS subject_username,
+          e.name AS event_name
+        FROM audit_log a
+        LEFT JOIN users actor ON a.actor_user_id = actor.id
+        LEFT JOIN users subject ON a.subject_user_id = subject.id
+        LEFT JOIN events e ON a.event_id = e.id
+        ${conditions.length ? "WHERE " + conditions.join(" AND ") : ""}
+        ORDER BY a.occurred_at DESC, a.id DESC
+        LIMIT ?
+      `, params);
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Attach a poll to an event
+   *
+   * The poll comes from src/polls.js, options are kept in the order they were given
+   * Returns the new poll id, or 0 if the event doesn't exist
+   */
+  addPoll: async (event_id, poll, actor) => {
+    try {
+      return await withTransaction(async () => {
+        const event = await db.get("SELECT id FROM events WHERE id = ?", event_id);
+        if (!event) return 0;
+        const result = await db.run(
+          "INSERT INTO polls (event_id, question, multiple_choice, created_at) VALUES (?, ?, ?, ?)",
+          [event.id, poll.question, poll.multiple_choice ? 1 : 0, new Date().toISOString()]
         );
-      }
+        for (const [position, label] of poll.options.entries()) {
+          await db.run(
+            "INSERT INTO poll_options (poll_id, label, position) VALUES (?, ?, ?)",
+            [result.lastID, label, position]
+          );
+        }
+        await recordAudit(actor, "poll.created", { event_id: event.id, after: pollSnapshot(poll) });
+        return result.lastID;
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get a poll with its options and vote counts
+   *
+   * Pass a user id to also get which options that user picked
+   */
+  getPollById: async (id, user_id = null) => {
+    try {
+      const poll = await db.get("SELECT * FROM polls WHERE id = ?", id);
+      return poll ? await withPollResults(poll, user_id) : poll;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get an event's polls, oldest first, with their options and vote counts
+   *
+   * Pass a user id to also get which options that user picked
+   */
+  getPollsByEventId: async (event_id, user_id = null) => {
+    try {
+      const polls = await db.all("SELECT * FROM polls WHERE event_id = ? ORDER BY id", event_id);
+      const results = [];
+      for (const poll of polls) results.push(await withPollResults(poll, user_id));
+      return results;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Save a user's ballot, replacing any earlier vote in the same poll
+   *
+   * Option ids are checked by src/polls.js first
+   * Returns true, or false if the poll doesn't exist
+   */
+  votePoll: async (poll_id, user_id, option_ids, actor) => {
+    try {
+      return await withTransaction(async () => {
+        const poll = await db.get("SELECT * FROM polls WHERE id = ?", poll_id);
+        if (!poll) return false;
+        const before = await getBallotLabels(poll.id, user_id);
+
+        await db.run("DELETE FROM poll_votes WHERE poll_id = ? AND user_id = ?", [poll.id, user_id]);
+        const votedAt = new Date().toISOString();
+        for (const option_id of option_ids) {
+          await db.run(
+            "INSERT INTO poll_votes (poll_id, option_id, user_id, voted_at) VALUES (?, ?, ?, ?)",
+            [poll.id, option_id, user_id, votedAt]
+          );
+        }
+
+        await recordAudit(actor, "poll.vote", {
+          event_id: poll.event_id,
+          subject_user_id: user_id,
+          before: before.length ? { poll: poll.question, choice: before.join(", ") } : null,
+          after: { poll: poll.question, choice: (await getBallotLabels(poll.id, user_id)).join(", ") }
+        });
+        return true;
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Remove every vote from a poll
+   *
+   * The votes stay in the audit log, the reset is recorded there too
+   * Returns the number of votes removed, or undefined if the poll doesn't exist
+   */
+  resetPoll: async (poll_id, actor) => {
+    try {
+      return await withTransaction(async () => {
+        const poll = await db.get("SELECT * FROM polls WHERE id = ?", poll_id);
+        if (!poll) return undefined;
+        const result = await db.run("DELETE FROM poll_votes WHERE poll_id = ?", poll.id);
+        await recordAudit(actor, "poll.reset", {
+          event_id: poll.event_id,
+          before: { poll: poll.question, votes: result.changes }
+        });
+        return result.changes;
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Delete a poll with its options and votes
+   */
+  deletePoll: async (poll_id, actor) => {
+    try {
+      return await withTransaction(async () => {
+        const poll = await db.get("SELECT * FROM polls WHERE id = ?", poll_id);
+        if (!poll) return 0;
+        const options = await db.all("SELECT label FROM poll_options WHERE poll_id = ? ORDER BY position", poll.id);
+        await deletePollRows("id = ?", poll.id);
+        await recordAudit(actor, "poll.deleted", {
+          event_id: poll.event_id,
+          before: pollSnapshot({ ...poll, options: options.map((option) => option.label) })
+        });
+        return 1;
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Queue reminders for the confirmed participants of the events between two dates
+   *
+   * Reminders already queued for an event date aren't queued again
+   * Returns the number of messages queued
+   */
+  queueReminders: async (fromDate, toDate) => {
+    try {
+      return await withTransaction(async () => {
+        const events = await db.all("SELECT * FROM events WHERE date >= ? AND date <= ? AND archived_at IS NULL", [fromDate, toDate]);
+        let queued = 0;
+        for (const event of events) {
+          const recipients = await getEventRecipients(event.id, [STATUS_ATTENDING]);
+          queued += await queueNotifications("event.reminder", event, recipients);
+        }
+        return queued;
+      });
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get the pending messages that are due to be sent, oldest first
+   */
+  getDueNotifications: async (now, limit) => {
+    try {
+      return await db.all(
+        "SELECT * FROM notification_outbox WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at, id LIMIT ?",
+        [now, limit]
+      );
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Mark a message as delivered
+   */
+  markNotificationSent: async (id) => {
+    try {
+      const now = new Date().toISOString();
+      await db.run(
+        "UPDATE notification_outbox SET status = 'sent', attempts = attempts + 1, sent_at = ?, last_error = NULL WHERE id = ?",
+        [now, id]
+      );
+      return true;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Record a failed attempt to send a message
+   *
+   * The message is tried again at retryAt, or marked failed when retryAt is null
+   */
+  markNotificationFailed: async (id, error, retryAt) => {
+    try {
+      await db.run(
+        `UPDATE notification_outbox SET
+          status = ?, attempts = attempts + 1, last_error = ?, next_attempt_at = COALESCE(?, next_attempt_at)
+        WHERE id = ?`,
+        [retryAt ? "pending" : "failed", error, retryAt, id]
+      );
+      return true;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
+
+  /**
+   * Get the outbox, newest first, with the usernames and event names
+   *
+   * Filters are all optional:
+   * - status: pending, sent or failed
+   * - event_id: messages about one event
+   * - limit: how many messages to return, 100 by default
+   */
+  getNotifications: async (filters = {}) => {
+    const conditions = [];
+    const params = [];
+    if (filters.status) {
+      conditions.push("n.status = ?");
+      params.push(filters.status);
+    }
+    if (filters.event_id) {
+      conditions.push("n.event_id = ?");
+      params.push(filters.event_id);
+    }
+    params.push(filters.limit || 100);
+    try {
+      return await db.all(`
+        SELECT n.id, n.kind, n.event_id, n.user_id, n.transport, n.recipient, n.subject, n.status,
+          n.attempts, n.next_attempt_at, n.last_error, n.created_at, n.sent_at,
+          u.username, e.name AS event_name
+        FROM notification_outbox n
+        LEFT JOIN users u ON n.user_id = u.id
+        LEFT JOIN events e ON n.event_id = e.id
+        ${conditions.length ? "WHERE " + conditions.join(" AND ") : ""}
+        ORDER BY n.created_at DESC, n.id DESC
+        LIMIT ?
+      `, params);
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
 
-      // Return the choices so far - page will build these into a chart
-      return await db.all("SELECT * from Choices");
+  /**
+   * Send a failed message again on the next scheduler run, with a fresh set of attempts
+   */
+  retryNotification: async (id) => {
+    try {
+      const result = await db.run(
+        "UPDATE notification_outbox SET status = 'pending', attempts = 0, next_attempt_at = ? WHERE id = ? AND status = 'failed'",
+        [new Date().toISOString(), id]
+      );
+      return result.changes;
     } catch (dbError) {
       console.error(dbError);
     }
   },
 
   /**
-   * Get logs
+   * Get a login session that hasn't expired, null when there is none
    */
-  getLogs: async () => {
-    // Return most recent 20
+  getSession: async (id, now) => {
     try {
-      // Return the array of log entries to admin page
-      return await db.all("SELECT * from Log ORDER BY time DESC LIMIT 20");
+      const row = await db.get("SELECT data_json FROM sessions WHERE id = ? AND expires_at > ?", [id, now]);
+      return row ? JSON.parse(row.data_json) : null;
     } catch (dbError) {
       console.error(dbError);
     }
   },
 
   /**
-   * Clear logs and reset votes
+   * Save a login session, replacing the saved copy
    */
-  clearHistory: async () => {
+  saveSession: async (id, session, expiresAt) => {
     try {
-      // Delete the logs
-      await db.run("DELETE from Log");
+      const result = await db.run(
+        `INSERT INTO sessions (id, data_json, expires_at) VALUES (?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET data_json = excluded.data_json, expires_at = excluded.expires_at`,
+        [id, JSON.stringify(session), expiresAt]
+      );
+      return result.changes;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
 
-      // Reset the vote numbers
-      await db.run("UPDATE Choices SET picks = 0");
+  /**
+   * Delete a login session, when the user logs out
+   */
+  deleteSession: async (id) => {
+    try {
+      const result = await db.run("DELETE FROM sessions WHERE id = ?", id);
+      return result.changes;
+    } catch (dbError) {
+      console.error(dbError);
+    }
+  },
 
-      // Return empty array
-      return [];
+  /**
+   * Delete the sessions that expired before now, returns how many there were
+   */
+  deleteExpiredSessions: async (now) => {
+    try {
+      const result = await db.run("DELETE FROM sessions WHERE expires_at <= ?", now);
+      return result.changes;
     } catch (dbError) {
       console.error(dbError);
     }
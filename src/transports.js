@@ -0,0 +1,126 @@
+/**
+ * Module holds the notification transports, picked with NOTIFY_TRANSPORTS in .env
+ *
+ * - smtp: emails users who have an address, set SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+ *   SMTP_USER, SMTP_PASS and SMTP_FROM - a local stand-in like MailHog works with just host and port
+ * - webhook: posts every message as JSON to NOTIFY_WEBHOOK_URL, signed with
+ *   NOTIFY_WEBHOOK_SECRET in the X-Notification-Signature header when it is set
+ *
+ * Each transport has a factory making an object with send(notification), which resolves when
+ * the message is delivered and rejects when it should be tried again
+ * Add a transport by adding it to TRANSPORTS
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const nodemailer = require("nodemailer");
+
+// Give up on a webhook that doesn't answer, so one slow receiver can't hold up the outbox
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+function createSmtpTransport(env) {
+  if (!env.SMTP_HOST) throw new Error("Set SMTP_HOST to send notifications by email.");
+  const mailer = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT) || 587,
+    secure: env.SMTP_SECURE === "true",
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+  });
+  const from = env.SMTP_FROM || `notifications@${env.SMTP_HOST}`;
+
+  return {
+    send: (notification) => mailer.sendMail({
+      from: from,
+      to: notification.recipient,
+      subject: notification.subject,
+      text: notification.body,
+    }),
+  };
+}
+
+/**
+ * Post a JSON body, resolving with the status code of the answer
+ *
+ * Uses http and https rather than fetch, which Node 14 doesn't have
+ */
+function postJson(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === "https:" ? https : http;
+    const request = client.request(target, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      timeout: WEBHOOK_TIMEOUT_MS,
+    }, (response) => {
+      response.resume();
+      response.on("end", () => resolve(response.statusCode));
+      response.on("error", reject);
+    });
+    request.on("timeout", () => request.destroy(new Error(`The webhook didn't answer within ${WEBHOOK_TIMEOUT_MS / 1000} seconds.`)));
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+function createWebhookTransport(env) {
+  if (!env.NOTIFY_WEBHOOK_URL) throw new Error("Set NOTIFY_WEBHOOK_URL to send notifications to a webhook.");
+
+  return {
+    send: async (notification) => {
+      const body = JSON.stringify({
+        id: notification.id,
+        kind: notification.kind,
+        subject: notification.subject,
+        body: notification.body,
+        ...JSON.parse(notification.payload_json || "{}"),
+      });
+      const headers = { "Content-Type": "application/json" };
+      if (env.NOTIFY_WEBHOOK_SECRET) {
+        const signature = crypto.createHmac("sha256", env.NOTIFY_WEBHOOK_SECRET).update(body).digest("hex");
+        headers["X-Notification-Signature"] = `sha256=${signature}`;
+      }
+
+      const status = await postJson(env.NOTIFY_WEBHOOK_URL, headers, body);
+      if (status < 200 || status >= 300) throw new Error(`The webhook answered ${status}.`);
+    },
+  };
+}
+
+/**
+ * The available transports
+ *
+ * needsEmail marks transports that can only reach users with an email address,
+ * messages for other users aren't queued for them
+ */
+const TRANSPORTS = {
+  smtp: { needsEmail: true, create: createSmtpTransport },
+  webhook: { needsEmail: false, create: createWebhookTransport },
+};
+
+/**
+ * Set up the named transports
+ *
+ * Returns an object of transports by name, leaving out the ones that are unknown
+ * or not configured - their messages fail and are retried until they are fixed
+ */
+function createTransports(names, env = process.env) {
+  const transports = {};
+  for (const name of names) {
+    if (!TRANSPORTS[name]) {
+      console.error(`Unknown notification transport "${name}", use one of ${Object.keys(TRANSPORTS).join(", ")}.`);
+      continue;
+    }
+    try {
+      transports[name] = TRANSPORTS[name].create(env);
+    } catch (error) {
+      console.error(`Notification transport ${name} isn't set up:`, error.message);
+    }
+  }
+  return transports;
+}
+
+module.exports = {
+  TRANSPORTS,
+  createTransports,
+};
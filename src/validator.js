@@ -0,0 +1,272 @@
+/**
+ * Module validates custom field values against an event's custom field schema
+ *
+ * The schema is the JSON array saved by the admin event form, like
+ * [{ "name": "T-shirt size", "type": "string" }, { "name": "Guests", "type": "integer" }]
+ * The values are a JSON object keyed by field name, like { "T-shirt size": "M", "Guests": 2 }
+ *
+ * Besides name and type a field can have:
+ * - required: true if the field must be answered when attending, a required boolean field must be true,
+ *   like a checkbox that has to be ticked
+ * - options: the list of choices for an enum field
+ * - min / max: the allowed range for an integer field
+ * - maxLength: the longest text allowed for a string field
+ * - default: the value used when nothing is submitted
+ *
+ * Messages are in the locale passed in, the default locale when there's none
+ */
+
+const i18n = require("./i18n.js");
+
+// The field types the admin form can create
+const FIELD_TYPES = ["string", "integer", "enum", "boolean", "date"];
+
+// Dates are stored as YYYY-MM-DD, the format of <input type="date">
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Prefix for custom field inputs on the HTML participation form, e.g. cf_Guests
+const FORM_FIELD_PREFIX = "cf_";
+
+/**
+ * Parse a schema into an array of fields
+ *
+ * Accepts the stored JSON string or an already parsed array
+ * Returns an object with the fields, or an error message if the schema isn't usable
+ */
+function parseSchema(schemaJson, locale = i18n.DEFAULT_LOCALE) {
+  if (schemaJson === undefined || schemaJson === null || schemaJson === "") {
+    return { fields: [] };
+  }
+
+  let fields = schemaJson;
+  if (typeof schemaJson === "string") {
+    try {
+      fields = JSON.parse(schemaJson);
+    } catch (error) {
+      return { fields: [], error: i18n.translate(locale, "errors.schemaNotJson") };
+    }
+  }
+
+  if (!Array.isArray(fields)) {
+    return { fields: [], error: i18n.translate(locale, "errors.schemaNotList") };
+  }
+
+  const names = new Set();
+  for (const field of fields) {
+    if (!field || typeof field.name !== "string" || field.name.trim() === "") {
+      return { fields: [], error: i18n.translate(locale, "errors.fieldNameMissing") };
+    }
+    if (!FIELD_TYPES.includes(field.type)) {
+      return { fields: [], error: i18n.translate(locale, "errors.fieldUnknownType", { field: field.name }) };
+    }
+    if (names.has(field.name)) {
+      return { fields: [], error: i18n.translate(locale, "errors.fieldDefinedTwice", { field: field.name }) };
+    }
+    names.add(field.name);
+
+    const error = checkFieldOptions(field, locale);
+    if (error) return { fields: [], error: error };
+  }
+
+  return { fields: fields };
+}
+
+/**
+ * Check the extra settings of a field definition make sense for its type
+ *
+ * Returns an error message, or null if the definition is fine
+ */
+function checkFieldOptions(field, locale) {
+  if (field.required !== undefined && typeof field.required !== "boolean") {
+    return i18n.translate(locale, "errors.fieldInvalidRequired", { field: field.name });
+  }
+
+  if (field.type === "enum") {
+    if (
+      !Array.isArray(field.options) ||
+      field.options.length < 1 ||
+      !field.options.every((option) => typeof option === "string" && option !== "") ||
+      new Set(field.options).size !== field.options.length
+    ) {
+      return i18n.translate(locale, "errors.fieldNeedsOptions", { field: field.name });
+    }
+  } else if (field.options !== undefined) {
+    return i18n.translate(locale, "errors.fieldOptionsNotEnum", { field: field.name });
+  }
+
+  if (field.min !== undefined || field.max !== undefined) {
+    if (field.type !== "integer") {
+      return i18n.translate(locale, "errors.fieldRangeNotInteger", { field: field.name });
+    }
+    if (
+      (field.min !== undefined && !Number.isInteger(field.min)) ||
+      (field.max !== undefined && !Number.isInteger(field.max))
+    ) {
+      return i18n.translate(locale, "errors.fieldRangeNotWhole", { field: field.name });
+    }
+    if (field.min !== undefined && field.max !== undefined && field.min > field.max) {
+      return i18n.translate(locale, "errors.fieldRangeReversed", { field: field.name });
+    }
+  }
+
+  if (field.maxLength !== undefined) {
+    if (field.type !== "string") {
+      return i18n.translate(locale, "errors.fieldMaxLengthNotString", { field: field.name });
+    }
+    if (!Number.isInteger(field.maxLength) || field.maxLength < 1) {
+      return i18n.translate(locale, "errors.fieldMaxLengthInvalid", { field: field.name });
+    }
+  }
+
+  if (field.default !== undefined && validateField(field, field.default, locale)) {
+    return i18n.translate(locale, "errors.fieldDefaultInvalid", { field: field.name });
+  }
+
+  return null;
+}
+
+/**
+ * Check a single value against its field definition
+ *
+ * Returns an error message, or null if the value is fine
+ */
+function validateField(field, value, locale = i18n.DEFAULT_LOCALE) {
+  const params = { field: field.name };
+  switch (field.type) {
+    case "string":
+      if (typeof value !== "string") return i18n.translate(locale, "errors.valueNotText", params);
+      if (field.maxLength !== undefined && value.length > field.maxLength) {
+        return i18n.translate(locale, "errors.valueTooLong", { ...params, max: field.maxLength });
+      }
+      return null;
+    case "integer":
+      if (!Number.isInteger(value)) return i18n.translate(locale, "errors.valueNotInteger", params);
+      if (field.min !== undefined && value < field.min) {
+        return i18n.translate(locale, "errors.valueTooSmall", { ...params, min: field.min });
+      }
+      if (field.max !== undefined && value > field.max) {
+        return i18n.translate(locale, "errors.valueTooLarge", { ...params, max: field.max });
+      }
+      return null;
+    case "enum":
+      return field.options.includes(value)
+        ? null
+        : i18n.translate(locale, "errors.valueNotOption", { ...params, options: field.options });
+    case "boolean":
+      return typeof value === "boolean" ? null : i18n.translate(locale, "errors.valueNotBoolean", params);
+    case "date":
+      return isValidDate(value) ? null : i18n.translate(locale, "errors.valueNotDate", params);
+    default:
+      return i18n.translate(locale, "errors.valueUnknownType", params);
+  }
+}
+
+// Check a value is a real calendar date in YYYY-MM-DD format
+function isValidDate(value) {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(value + "T00:00:00Z");
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Validate submitted values against an event's schema
+ *
+ * Values can be a JSON string or an object
+ * Missing values are filled in from the field defaults
+ * Required fields are only enforced when options.skipRequired isn't set,
+ * so users can decline an event without filling in the form
+ * options.locale is the language of the messages
+ * Returns { valid, errors, values } where errors maps each field name to a message
+ * and values holds the checked values ready to be stored
+ */
+function validateCustomFieldValues(schemaJson, valuesJson, options = {}) {
+  const locale = options.locale || i18n.DEFAULT_LOCALE;
+  const schema = parseSchema(schemaJson, locale);
+  if (schema.error) {
+    return { valid: false, errors: { custom_fields_schema_json: schema.error }, values: {} };
+  }
+
+  let values = valuesJson;
+  if (values === undefined || values === null || values === "") {
+    values = {};
+  } else if (typeof values === "string") {
+    try {
+      values = JSON.parse(values);
+    } catch (error) {
+      return { valid: false, errors: { custom_field_values_json: i18n.translate(locale, "errors.valuesNotJson") }, values: {} };
+    }
+  }
+
+  if (typeof values !== "object" || values === null || Array.isArray(values)) {
+    return { valid: false, errors: { custom_field_values_json: i18n.translate(locale, "errors.valuesNotObject") }, values: {} };
+  }
+
+  const errors = {};
+  const checked = {};
+  const fieldsByName = new Map(schema.fields.map((field) => [field.name, field]));
+
+  for (const name of Object.keys(values)) {
+    if (!fieldsByName.has(name)) {
+      errors[name] = i18n.translate(locale, "errors.valueNotAField", { field: name });
+    }
+  }
+
+  for (const field of schema.fields) {
+    let value = values[field.name];
+    if (value === undefined || value === null || value === "") value = field.default;
+
+    if (value === undefined) {
+      if (field.required && !options.skipRequired) errors[field.name] = i18n.translate(locale, "errors.valueRequired", { field: field.name });
+      continue;
+    }
+
+    const error = validateField(field, value, locale);
+    if (error) errors[field.name] = error;
+    else if (field.type === "boolean" && field.required && !options.skipRequired && value !== true) {
+      errors[field.name] = i18n.translate(locale, "errors.valueUnchecked", { field: field.name });
+    } else checked[field.name] = value;
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors: errors, values: checked };
+}
+
+/**
+ * Collect custom field values from an HTML form body
+ *
+ * Form inputs are named with the field name after a cf_ prefix and always arrive as text,
+ * so integer fields are converted when the text is a whole number
+ * Boolean fields are checkboxes, which are only sent when ticked
+ * A field sent more than once arrives as a list, which is left as it is for validateCustomFieldValues to reject,
+ * like anything else that isn't usable
+ */
+function collectFormValues(schemaJson, body) {
+  const { fields } = parseSchema(schemaJson);
+  const values = {};
+
+  for (const field of fields) {
+    const value = body[FORM_FIELD_PREFIX + field.name];
+    if (Array.isArray(value)) {
+      values[field.name] = value;
+      continue;
+    }
+    if (field.type === "boolean") {
+      values[field.name] = value === "true" || value === "on";
+      continue;
+    }
+    if (value === undefined || value === "") continue;
+    values[field.name] = field.type === "integer" && /^-?\d+$/.test(value.trim())
+      ? parseInt(value, 10)
+      : value;
+  }
+
+  return values;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  FORM_FIELD_PREFIX,
+  parseSchema,
+  validateField,
+  validateCustomFieldValues,
+  collectFormValues,
+};